@@ -5,9 +5,11 @@
  */
 
 SVG.Drawing = {
+	CHANGE: "drawingchange", // Event invoked after a reversible change.
 	DRAW: "drawing", // Event invoked while drawing.
 	END: "drawingend", // Event invoked when drawing is finished.
 	ERASER_MASK: 32, // Mask for eraser. See MouseEvent.buttons
+	FINISH: "drawingfinish", // Event invoked when a change is finished.
 	START: "drawingstart", // Event invoked while drawing.
 	NAMES: ["drawingstart", "drawing", "drawingend"], // Custom events.
 	/**
@@ -117,14 +119,322 @@ SVG.Drawing = {
 		}
 	},
 	
-	/** Returns the element from point if it's a child of node. */
-	childFromPoint(point, node) {
-		const el = document.elementFromPoint(...point);
-		if (el !== node && (el.parentNode === node || node.contains(el))) {
+	/**
+	 * Returns an operation {undo, redo} for an element that was just
+	 * added. Undo removes it and redo puts it back in the same place.
+	 */
+	added(el) {
+		const place = this.placeFn(el);
+		return {
+			undo: () => el.remove(),
+			redo: place
+		};
+	},
+	
+	/** Returns an object of the names and values of el's attributes. */
+	attributes(el) {
+		const attrs = {};
+		for (const {name, value} of el.attributes) {
+			attrs[name] = value;
+		}
+		return attrs;
+	},
+	
+	/**
+	 * Dispatches the CHANGE event on node for an operation that was just
+	 * done. The operation is an object with undo() and redo() functions
+	 * that reverse it and do it again. Listeners (such as SVG.History)
+	 * get it as the event's detail.
+	 */
+	changed(node, op) {
+		node.dispatchEvent(new CustomEvent(this.CHANGE, {detail: op}));
+	},
+	
+	/**
+	 * Dispatches the FINISH event on node once a change that was dispatched
+	 * when it started, such as a stroke, is finished, so listeners can save
+	 * it as it ends up.
+	 */
+	finished(node) {
+		node.dispatchEvent(new CustomEvent(this.FINISH));
+	},
+	
+	/**
+	 * Combines an array of operations {undo, redo} into one. Undo is in
+	 * the reverse order.
+	 */
+	combine(ops) {
+		return {
+			undo: () => ops.slice().reverse().forEach(op => op.undo()),
+			redo: () => ops.forEach(op => op.redo())
+		};
+	},
+	
+	/**
+	 * Returns an operation {undo, redo} for the attributes of el that
+	 * changed since before (from attributes(el)), or null if none did.
+	 */
+	modified(el, before) {
+		const after = this.attributes(el);
+		const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+		const isSame = [...names].every(name => before[name] === after[name]);
+		
+		if (isSame) {
+			return null;
+		}
+		
+		// Sets el's attributes to exactly attrs.
+		const setAttributes = (attrs) => {
+			for (const name of Object.keys(this.attributes(el))) {
+				if (!(name in attrs)) {
+					el.removeAttribute(name);
+				}
+			}
+			for (const [name, value] of Object.entries(attrs)) {
+				el.setAttribute(name, value);
+			}
+		};
+		
+		return {
+			undo: () => setAttributes(before),
+			redo: () => setAttributes(after)
+		};
+	},
+	
+	/** Returns a function that puts el back where it is now. */
+	placeFn(el) {
+		const parent = el.parentNode;
+		const next = el.nextSibling;
+		return () => parent.insertBefore(el, next);
+	},
+	
+	/**
+	 * Removes an array of elements. Returns an operation {undo, redo}
+	 * where undo puts them back where they were.
+	 */
+	remove(els) {
+		const places = els.map(el => {
+			const place = this.placeFn(el);
+			el.remove();
+			return place;
+		});
+		
+		return {
+			undo: () => places.slice().reverse().forEach(place => place()),
+			redo: () => els.forEach(el => el.remove())
+		};
+	},
+	
+	/**
+	 * Moves the highlighter strokes (with data-highlight) among the shapes
+	 * of parent under the others, so they never cover ink. Keeps the order
+	 * of each.
+	 */
+	underInk(parent) {
+		const shapes = this.shapes(parent);
+		const ink = shapes.find(el => !el.hasAttribute("data-highlight"));
+		if (!ink) {
+			return;
+		}
+		
+		const isAbove = (el) => ink.compareDocumentPosition(el)
+			& Node.DOCUMENT_POSITION_FOLLOWING;
+		for (const el of shapes) {
+			if (el.hasAttribute("data-highlight") && isAbove(el)) {
+				ink.before(el);
+			}
+		}
+	},
+	
+	/**
+	 * Returns an operation {undo, redo} for the children of parent that
+	 * were just put in a different order, or null if the order is the
+	 * same. Before is the array of parent's childNodes before.
+	 */
+	reordered(parent, before) {
+		const after = [...parent.childNodes];
+		if (after.every((node, i) => node === before[i])) {
+			return null;
+		}
+		
+		return {
+			undo: () => parent.append(...before),
+			redo: () => parent.append(...after)
+		};
+	},
+	
+	/**
+	 * Whether a layer can be drawn on, selected and erased: it isn't
+	 * hidden (display none) or locked (data-locked).
+	 */
+	isEditable(layer) {
+		return !layer.hasAttribute("data-locked")
+			&& layer.getAttribute("display") !== "none";
+	},
+	
+	/** Whether el is a layer, a group with its name in data-layer. */
+	isLayer(el) {
+		return el?.localName === "g" && el.hasAttribute("data-layer");
+	},
+	
+	/**
+	 * Returns an array of the shapes that were drawn in node, which tools
+	 * may select and erase. Layers are replaced by their shapes, unless
+	 * they're hidden or locked. Templates (with data-template) and what
+	 * only the editor shows (with data-editor) aren't shapes.
+	 */
+	shapes(node) {
+		return [...node.children].flatMap(el => {
+			if (this.isLayer(el)) {
+				return this.isEditable(el) ? this.shapes(el) : [];
+			}
+			const isShape = el instanceof SVGGraphicsElement
+				&& el.localName !== "defs"
+				&& !el.hasAttribute("data-template")
+				&& !el.hasAttribute("data-editor");
+			return isShape ? [el] : [];
+		});
+	},
+	
+	/**
+	 * Transforms an element by a matrix. Paths get the transform baked
+	 * into their coordinates (and the stroke points from SVG.Stroke), so
+	 * they don't keep a transform attribute. Other elements, such as text,
+	 * get it added to their transform attribute. Stroke widths are scaled
+	 * by the matrix's average scale.
+	 *
+	 * @param el The element (SVGGraphicsElement).
+	 * @param matrix SVG.Matrix.
+	 */
+	transform(el, matrix) {
+		const {a, b, c, d, e, f} = matrix;
+		const round = (n) => SVG.Stroke.round(n);
+		const xy = (x, y) => [
+			round(a * x + c * y + e),
+			round(b * x + d * y + f)
+		];
+		
+		// An ellipse transformed is another ellipse. Its radii and angle
+		// are the singular values and rotation of the combined matrix.
+		const arc = (rx, ry, angle, large, sweep, x, y) => {
+			const cos = Math.cos(angle * Math.PI / 180);
+			const sin = Math.sin(angle * Math.PI / 180);
+			const m00 = (a * cos + c * sin) * rx;
+			const m01 = (c * cos - a * sin) * ry;
+			const m10 = (b * cos + d * sin) * rx;
+			const m11 = (d * cos - b * sin) * ry;
+			const q = Math.hypot((m00 + m11) / 2, (m10 - m01) / 2);
+			const r = Math.hypot((m00 - m11) / 2, (m10 + m01) / 2);
+			const phi = (Math.atan2(m10 - m01, m00 + m11)
+				+ Math.atan2(m10 + m01, m00 - m11)) / 2;
+			
+			// Mirroring reverses the direction of the arc.
+			const isMirrored = a * d - b * c < 0;
+			return [
+				round(q + r),
+				round(Math.abs(q - r)),
+				round(phi * 180 / Math.PI),
+				large,
+				isMirrored ? 1 - sweep : sweep,
+				...xy(x, y)
+			];
+		};
+		
+		const scale = Math.sqrt(Math.abs(a * d - b * c));
+		const width = el.getAttribute("stroke-width");
+		if (width !== null && scale !== 1) {
+			el.setAttribute("stroke-width", round(Number(width) * scale));
+		}
+		SVG.Stroke.transform(el, matrix);
+		
+		if (el.localName !== "path") {
+			const current = new SVG.Matrix(SVG(el));
+			el.setAttribute("transform", matrix.multiply(current).toString());
+			return;
+		}
+		
+		// Commands are absolute, so every value is a point or arc.
+		let current = [0, 0];
+		let start = [0, 0];
+		const commands = SVG(el).array().map(([command, ...values]) => {
+			if (command === "H") {
+				[command, values] = ["L", [values[0], current[1]]];
+			} else if (command === "V") {
+				[command, values] = ["L", [current[0], values[0]]];
+			} else if (command === "Z") {
+				current = start;
+				return command;
+			}
+			
+			let moved;
+			if (command === "A") {
+				moved = arc(...values);
+			} else {
+				moved = [];
+				for (let i = 0; i < values.length; i += 2) {
+					moved.push(...xy(values[i], values[i + 1]));
+				}
+			}
+			
+			current = values.slice(-2);
+			if (command === "M") {
+				start = current;
+			}
+			return [command, ...moved].join(" ");
+		});
+		el.setAttribute("d", commands.join(" "));
+	},
+	
+	/**
+	 * Returns the matrix (DOMMatrix) from the coordinates of el to those of
+	 * the viewBox of its svg. It has el's own transform and those of the
+	 * groups it's in, such as the translate() of an equation.
+	 */
+	matrix(el) {
+		const ctm = el.getScreenCTM();
+		const root = el.ownerSVGElement?.getScreenCTM();
+		return ctm && root ? root.inverse().multiply(ctm) : new DOMMatrix();
+	},
+	
+	/**
+	 * Returns an [x, y, ...rest] point transformed by a matrix, keeping the
+	 * rest, such as its pressure.
+	 */
+	mapPoint([x, y, ...rest], matrix) {
+		const point = new DOMPoint(x, y).matrixTransform(matrix);
+		return [point.x, point.y, ...rest];
+	},
+	
+	/**
+	 * Returns the element from point if it's a child of node. What only the
+	 * editor shows (with data-editor), such as wet ink, is seen through
+	 * unless isEditor is true.
+	 */
+	childFromPoint(point, node, isEditor = false) {
+		const el = document.elementsFromPoint(...point).find(el =>
+			isEditor || !el.closest("[data-editor]"));
+		if (el && el !== node
+			&& (el.parentNode === node || node.contains(el))) {
 			return el;
 		}
 	},
 	
+	/**
+	 * Returns the shape (a child of node or of its layers) that the element
+	 * from point is part of, such as the text of a tspan. Shapes of hidden
+	 * or locked layers, and what only the editor shows, are skipped.
+	 */
+	shapeFromPoint(point, node) {
+		let el = this.childFromPoint(point, node);
+		while (el && el.parentNode !== node && !this.isLayer(el.parentNode)) {
+			el = el.parentNode;
+		}
+		
+		const layer = el?.parentNode;
+		const isLocked = this.isLayer(layer) && !this.isEditable(layer);
+		return this.isLayer(el) || isLocked ? undefined : el;
+	},
+	
 	/**
 	 * Makes an array of doubles for dispatching custom events. The doubles,
 	 * [name, fn], are suitable as parameters for SVG.on/SVG.off or
@@ -133,27 +443,75 @@ SVG.Drawing = {
 	 *     * move: called at pointermove if pointerdown triggered
 	 *     * end: called at pointerup/leave if pointerdown triggered.
 	 * The debounce has a default of 50ms to account for multiple fingers.
+	 * The event's detail has the pointer's point, pressure, tiltX, tiltY,
+	 * twist, pointerId, pointerType, shiftKey and timeStamp as well as
+	 * buttons, node and rect.
+	 * The detail's samples array has the pointer properties of every
+	 * coalesced event since the last move (PointerEvent.getCoalescedEvents)
+	 * and its predicted array has the predicted ones for showing wet ink
+	 * (PointerEvent.getPredictedEvents). Both are in order of time.
 	 * The buttonsMask paramater is the mask for the PointerEvent.buttons to
 	 * respond to. Others will be ignored. The default (= 33) is the mask for
 	 * primary-click/pen-tip/touch and pen-eraser button.
+	 * If multiPointer is true, every pointer draws on its own with its own
+	 * start, move and end events (told apart by the detail's pointerId).
+	 * Otherwise only the primary pointer draws and a second finger aborts
+	 * the start of drawing.
+	 * The accept function is called with each PointerEvent. Pointers it
+	 * returns false for are ignored, as if they never touched the node.
 	 */
-	dispatchers(start, move, end, debounce = 50, buttonsMask = 33) {
-		let isDrawing = false; // whether drawingstart was fired.
-		let timeout = null; // pointerdown debounce.
+	dispatchers(start, move, end, debounce = 50, buttonsMask = 33,
+			multiPointer = false, accept = (e) => true) {
+		// Drawing state of each pointer by pointerId, or of the primary
+		// pointer only if not multiPointer. Each state is an object with:
+		//     * isDrawing: whether drawingstart was fired.
+		//     * timeout: pointerdown debounce.
+		const states = new Map();
+		const PRIMARY = "primary";
 		
-		const dispatchEvent = (name, node, buttons, [x, y]) => {
+		// State of the pointer of e if it may draw.
+		const stateOf = (e) => {
+			if (!accept(e)) {
+				return; // Ignored pointer.
+			} else if (multiPointer) {
+				return states.get(e.pointerId);
+			} else if (e.isPrimary) {
+				return states.get(PRIMARY);
+			}
+		}
+		
+		const dispatchEvent = (name, node, buttons, sample,
+				samples = [sample], predicted = []) => {
 			const detail = {
 				detail: {
 					buttons: buttons,
 					node: node,
-					point: [x, y],
-					rect: node.getBoundingClientRect()
+					predicted: predicted,
+					rect: node.getBoundingClientRect(),
+					samples: samples,
+					...sample
 				}
 			};
 			const customEvent = new CustomEvent(name, detail);
 			node.dispatchEvent(customEvent);
 		}
 		
+		// Properties of the PointerEvent e passed along in the detail.
+		// Must be read before any timer, since currentTarget becomes null.
+		const sampleOf = (e) => {
+			return {
+				point: [e.clientX, e.clientY],
+				pointerId: e.pointerId,
+				pointerType: e.pointerType,
+				pressure: e.pressure,
+				shiftKey: e.shiftKey,
+				tiltX: e.tiltX,
+				tiltY: e.tiltY,
+				timeStamp: e.timeStamp,
+				twist: e.twist
+			};
+		}
+		
 		const filterButtons = (e) => {
 			// 01 = binary 000001 bitmask for left-click/pen-tip.
 			// 32 = binary 100000 bitmask for eraser.
@@ -165,46 +523,66 @@ SVG.Drawing = {
 		
 		const pointerdown = (e) => {
 			const buttons = filterButtons(e);
-			if (buttons) {
-				if (e.isPrimary) {
+			if (buttons && accept(e)) {
+				if (multiPointer || e.isPrimary) {
 					// These must be outside timer, or could be null.
 					const node = e.currentTarget;
-					const point = [e.clientX, e.clientY];
+					const sample = sampleOf(e);
+					const key = multiPointer ? e.pointerId : PRIMARY;
+					const state = states.get(key)
+						?? {isDrawing: false, timeout: null};
+					states.set(key, state);
 				
 					// Debounce so 2 finger gestures don't trigger.
-					clearTimeout(timeout); // Reset clock
-					timeout = setTimeout(() => {
-						if (timeout) {
+					clearTimeout(state.timeout); // Reset clock
+					state.timeout = setTimeout(() => {
+						if (state.timeout) {
 							// initialize State
-							dispatchEvent(start, node, buttons, point);
-							isDrawing = true;
-							timeout = null; // reset clock
+							dispatchEvent(start, node, buttons, sample);
+							state.isDrawing = true;
+							state.timeout = null; // reset clock
 						}
 					}, debounce);
-				} else {
+				} else if (states.has(PRIMARY)) {
 					// There must be two fingers. Abort start drawing.
-					timeout = null; // reset clock
+					states.get(PRIMARY).timeout = null; // reset clock
 				}
 			}
 		}
 		
 		const pointermove = (e) => {
-			if (e.isPrimary && isDrawing) {
+			if (stateOf(e)?.isDrawing) {
 				const buttons = filterButtons(e);
 				const node = e.currentTarget;
-				const point = [e.clientX, e.clientY];
-				dispatchEvent(move, node, buttons, point);
+				
+				// Samples since the last pointermove, ending with this one.
+				const coalesced = e.getCoalescedEvents?.() ?? [];
+				const samples = coalesced.length ? coalesced.map(sampleOf)
+					: [sampleOf(e)];
+				
+				// Where the browser guesses the pointer is going next.
+				const predicted = (e.getPredictedEvents?.() ?? [])
+					.map(sampleOf);
+				
+				dispatchEvent(move, node, buttons, sampleOf(e), samples,
+					predicted);
 			}
 		}
 		
 		const pointerup = (e) => {
-			if (e.isPrimary && isDrawing) {
+			const state = stateOf(e);
+			if (state?.isDrawing) {
 				const buttons = filterButtons(e);
 				const node = e.currentTarget;
-				const point = [e.clientX, e.clientY];
-				dispatchEvent(end, node, buttons, point);
-				isDrawing = false; // up = done drawing.
-				timeout = null; // make sure clock reset
+				dispatchEvent(end, node, buttons, sampleOf(e));
+				state.isDrawing = false; // up = done drawing.
+				state.timeout = null; // make sure clock reset
+			}
+			
+			if (multiPointer && state) {
+				// Pointer is gone. Also stops a start that's pending.
+				clearTimeout(state.timeout);
+				states.delete(e.pointerId);
 			}
 		}
 		
@@ -219,17 +597,21 @@ SVG.Drawing = {
 	/**
 	 * Makes an array of an array suitable as parameters for
 	 * addEventListener/removeEventListener. Passes e.detail to the event
-	 * handlers. When the eraser button is pressed, calls removeFromPoint
-	 * instead.
+	 * handlers. When the eraser button is pressed, calls the eraser tool's
+	 * event handlers instead (or removeFromPoint if there's no eraser).
 	 */
-	listeners(tool) {
+	listeners(tool, eraser = null) {
 		// Makes [event name, event listener function] array.
 		const params = (name) => {
 			const listener = (e) => {
 				const detail = e.detail;
 				if(detail.buttons & this.ERASER_MASK) {
 					// Eraser button
-					this.removeFromPoint(detail.point, detail.node);
+					if (eraser) {
+						eraser[name]?.(detail);
+					} else {
+						this.removeFromPoint(detail.point, detail.node);
+					}
 				} else {
 					// Call drawing tool's event listener with detail object.
 					tool[name]?.(detail);
@@ -245,66 +627,983 @@ SVG.Drawing = {
 		];
 	},
 	
-	/** Removes element from point if descendant of node. */
+	/**
+	 * Removes element from point if descendant of node. Dispatches the
+	 * CHANGE event for the removal.
+	 */
 	removeFromPoint(point, node) {
-		this.childFromPoint(point, node)?.remove();
+		const el = this.shapeFromPoint(point, node);
+		if (el) {
+			this.changed(node, this.remove([el]));
+		}
+	}
+};
+
+
+/**
+ * Removes the elements under a pointer except for the attached element.
+ * The whole path of the pointer erases, not only the points sampled, so
+ * fast swipes don't skip anything. Everything one pointer erases until
+ * it's lifted is one change.
+ */
+SVG.EraserTool = class EraserTool {
+	/** Default radius of the eraser in screen pixels. */
+	static RADIUS = 10;
+	
+	/**
+	 * Makes an eraser.
+	 *
+	 * @param svg The result of calling SVG() on the node erased.
+	 * @param options How the eraser erases:
+	 *     * partial: if true, only the parts of strokes (paths made by
+	 *       SVG.PathTool) the eraser passes over are erased. The rest of a
+	 *       stroke is split into paths with its attributes. Other elements
+	 *       are removed when touched.
+	 *     * radius: the radius around the pointer's path that erases, in
+	 *       screen pixels. Default is EraserTool.RADIUS.
+	 */
+	constructor(svg, options = {}) {
+		// Options for erasing. Not copied, so changes apply right away.
+		this.options = options;
+		
+		// Function that aligns coordinates from viewPort to viewBox.
+		this.align = SVG.Drawing.alignXYFn(svg.node);
+		
+		// Array of removal operations by pointerId.
+		this.ops = new Map();
+		
+		// Last [x, y] point in the viewBox by pointerId.
+		this.last = new Map();
+	}
+	
+	[SVG.Drawing.DRAW](d) {
+		const radius = this.radius(d);
+		const segments = this.segments(d);
+		
+		if (this.options.partial) {
+			for (const [a, b] of segments) {
+				this.eraseParts(d, a, b, radius);
+			}
+		} else {
+			this.erase(d, segments, radius);
+		}
+	}
+	
+	/** Dispatches the CHANGE event for everything erased. */
+	[SVG.Drawing.END](d) {
+		const ops = this.ops.get(d.pointerId) ?? [];
+		this.ops.delete(d.pointerId);
+		this.last.delete(d.pointerId);
+		
+		if (ops.length) {
+			SVG.Drawing.changed(d.node, SVG.Drawing.combine(ops));
+		}
+	}
+	
+	[SVG.Drawing.START](d) {
+		this.ops.set(d.pointerId, []);
+		this.last.delete(d.pointerId);
+		this[SVG.Drawing.DRAW](d);
+	}
+	
+	/** Adds an operation to undo with the rest of the pointer's. */
+	addOp(d, op) {
+		// The eraser button could be pressed after drawing started.
+		const ops = this.ops.get(d.pointerId) ?? [];
+		ops.push(op);
+		this.ops.set(d.pointerId, ops);
+	}
+	
+	/** Removes the elements that the segments pass within radius of. */
+	erase(d, segments, radius) {
+		const hits = SVG.Drawing.shapes(d.node).filter(el =>
+			segments.some(([a, b]) => this.touches(el, a, b, radius)));
+		
+		if (hits.length) {
+			this.addOp(d, SVG.Drawing.remove(hits));
+		}
+	}
+	
+	/**
+	 * Cuts the parts of strokes within radius of the segment from a to b.
+	 * Elements that aren't strokes are removed when touched.
+	 */
+	eraseParts(d, a, b, radius) {
+		for (const el of SVG.Drawing.shapes(d.node)) {
+			const points = SVG.Stroke.points(el);
+			
+			if (!points) {
+				// Not a stroke, so it can't be cut.
+				if (this.touches(el, a, b, radius)) {
+					this.addOp(d, SVG.Drawing.remove([el]));
+				}
+				continue;
+			} else if (!this.isNear(el, a, b, radius)) {
+				continue;
+			}
+			
+			// Inside if the eraser touches the ink around the point.
+			const width = Number(el.getAttribute("stroke-width")) || 1;
+			const isVariable = el.hasAttribute("data-pressure");
+			const [localA, localB] = this.toLocal(el, a, b);
+			this.cutStroke(d, el, points, (point) => {
+				const half = isVariable ? SVG.Stroke.width(width, point[2]) / 2
+					: width / 2;
+				return SVG.Stroke.distance(point, localA, localB)
+					< radius + half;
+			}, radius);
+		}
+	}
+	
+	/**
+	 * Replaces a stroke with the pieces outside an area. Does nothing if
+	 * no point is inside.
+	 *
+	 * @param d The detail of the drawing event.
+	 * @param el The path element of the stroke.
+	 * @param points The stroke points of el.
+	 * @param inside Function(point) that's true if point is in the area.
+	 * @param size Size of the area, so no part of it is between points.
+	 */
+	cutStroke(d, el, points, inside, size) {
+		points = SVG.Stroke.densify(points, size / 2);
+		if (!points.some(inside)) {
+			return;
+		}
+		
+		// Pieces are plotted like the stroke was.
+		const tolerance = SVG.Stroke.tolerance(el, SVG.PathTool.TOLERANCE);
+		const ops = [];
+		for (const piece of SVG.Stroke.cut(points, inside)) {
+			// Leave out dots from the edge of the eraser.
+			if (piece.length < 2) {
+				continue;
+			}
+			
+			// Piece has the stroke's attributes and place.
+			const path = el.cloneNode(false);
+			path.removeAttribute("id");
+			el.before(path);
+			SVG.Stroke.plot(path, piece, tolerance);
+			ops.push(SVG.Drawing.added(path));
+		}
+		
+		ops.push(SVG.Drawing.remove([el]));
+		this.addOp(d, SVG.Drawing.combine(ops));
+	}
+	
+	/**
+	 * Whether the segment from a to b is near el's bounding box, counting
+	 * the radius and the stroke's width. The box is in el's coordinates,
+	 * so a rotated element's box turns with it.
+	 */
+	isNear(el, a, b, radius) {
+		const width = Number(el.getAttribute("stroke-width")) || 0;
+		const reach = radius + SVG.Stroke.width(width, 1);
+		const box = el.getBBox();
+		[a, b] = this.toLocal(el, a, b);
+		return Math.max(a[0], b[0]) > box.x - reach
+			&& Math.min(a[0], b[0]) < box.x + box.width + reach
+			&& Math.max(a[1], b[1]) > box.y - reach
+			&& Math.min(a[1], b[1]) < box.y + box.height + reach;
+	}
+	
+	/** Radius of the eraser in the viewBox at the detail's point. */
+	radius(d) {
+		const pixels = this.options.radius ?? EraserTool.RADIUS;
+		const [x] = this.align(d.point, d.rect);
+		const [edgeX] = this.align([d.point[0] + pixels, d.point[1]], d.rect);
+		return Math.abs(edgeX - x);
+	}
+	
+	/**
+	 * Returns the segments [a, b] the pointer moved along in the viewBox
+	 * since the last event, one for each coalesced sample.
+	 */
+	segments(d) {
+		return (d.samples ?? [d]).map(({point}) => {
+			const b = this.align(point, d.rect);
+			const a = this.last.get(d.pointerId) ?? b;
+			this.last.set(d.pointerId, b);
+			return [a, b];
+		});
+	}
+	
+	/**
+	 * Returns points of the viewBox in the coordinates of el, which has its
+	 * own transform or is in transformed groups.
+	 */
+	toLocal(el, ...points) {
+		const matrix = SVG.Drawing.matrix(el).inverse();
+		return points.map(point => SVG.Drawing.mapPoint(point, matrix));
+	}
+	
+	/**
+	 * Whether the segment from a to b passes within radius of the ink of
+	 * el. Elements without geometry, such as text, use their box.
+	 */
+	touches(el, a, b, radius) {
+		if (!this.isNear(el, a, b, radius)) {
+			return false;
+		}
+		[a, b] = this.toLocal(el, a, b);
+		
+		const points = SVG.Stroke.sample(el, radius);
+		if (!points) {
+			return true; // Box is all there is.
+		}
+		
+		const width = Number(el.getAttribute("stroke-width")) || 0;
+		const isVariable = el.hasAttribute("data-pressure");
+		
+		// Half the width of the ink at a point.
+		const half = ([x, y, p]) =>
+			isVariable ? SVG.Stroke.width(width, p) / 2 : width / 2;
+		
+		if (points.length === 1) {
+			return SVG.Stroke.distance(points[0], a, b) < radius
+				+ half(points[0]);
+		}
+		
+		for (let i = 1; i < points.length; i++) {
+			const p0 = points[i - 1];
+			const p1 = points[i];
+			const reach = radius + Math.max(half(p0), half(p1));
+			if (SVG.Stroke.segmentDistance(p0, p1, a, b) < reach) {
+				return true;
+			}
+		}
+		return false;
 	}
 };
 
 
 /** Creates SVG paths from a SVG.js factory. */
 SVG.PathTool = class PathTool {
+	/**
+	 * Time in milliseconds the pointer must stay still at the end of a
+	 * stroke to turn it into the shape it looks like.
+	 */
+	static HOLD = 500;
+	
+	/** Distance in pixels the pointer may wobble while holding still. */
+	static HOLD_DISTANCE = 4;
+	
+	/** Default distance the smoothed path may stray from the points. */
+	static TOLERANCE = 0.75;
+	
 	/**
 	 * Makes a Path.
 	 *
 	 * @param svg Makes nodes. The result of calling SVG().
 	 * @param attr Attributes of the SVG path element made.
+	 * @param options How the path is made:
+	 *     * pressure: if true, the path is a filled outline whose width
+	 *       follows the pointer's pressure. The stroke attribute is used
+	 *       as the fill color and the stroke-width as the base width.
+	 *     * tolerance: when the path is finished, its points are simplified
+	 *       and fitted with curves that stray at most this distance in the
+	 *       viewBox. 0 keeps every point. Default is PathTool.TOLERANCE.
+	 *     * recognize: if true, every finished path that looks like a
+	 *       shape is replaced by the shape. Otherwise only paths whose
+	 *       pointer held still for PathTool.HOLD at the end are.
+	 *     * highlight: if true, the path is a highlighter stroke with
+	 *       data-highlight, which goes under the other shapes.
 	 */
-	constructor(svg, attr={}) {
+	constructor(svg, attr={}, options={}) {
 		// SVG.js path's attributes.
 		this.attr = attr;
 		
+		// Options for making the path. Not copied, so changes apply to
+		// the next path drawn.
+		this.options = options;
+		
 		// SVG.js factory that makes the path.
 		this.svg = svg;
 		
 		// Function that aligns coordinates from viewPort to viewBox.
 		this.align = SVG.Drawing.alignXYFn(svg.node);
 		
-		// SVG.js path that's being drawn.
-		this.path = null;
+		// Strokes being drawn by pointerId, so several pointers can draw
+		// at once. Each stroke is an object with:
+		//     * path: SVG.js path that's being drawn.
+		//     * points: array of [x, y, pressure] points of the path.
+		//     * wet: SVG.js path of predicted points after the path's end.
+		//     * still: [x, y] client point where the pointer last stopped.
+		//     * stillSince: timeStamp when the pointer stopped there.
+		this.strokes = new Map();
 	}
 
 	/** Adds/draws points for the middle of a path. */
-	[SVG.Drawing.DRAW](d) {			
-		const [x, y] = this.align(d.point, d.rect);
-
-		// Create new point in SVG syntax
-		const newPoint = "L " + x + " " + y;
+	[SVG.Drawing.DRAW](d) {
+		const stroke = this.strokes.get(d.pointerId);
+		if (!stroke) {
+			return; // Pointer didn't start a path.
+		}
+		
+		// Every coalesced sample, so fast strokes keep their shape.
+		const samples = d.samples ?? [d];
+		const added = samples.map(({point, pressure}) => {
+			const [x, y] = this.align(point, d.rect);
+			return [x, y, pressure];
+		});
+		stroke.points.push(...added);
+		
+		// Whether the pointer is holding still.
+		for (const {point, timeStamp} of samples) {
+			const [x, y] = stroke.still;
+			const distance = Math.hypot(point[0] - x, point[1] - y);
+			if (distance > PathTool.HOLD_DISTANCE) {
+				stroke.still = point;
+				stroke.stillSince = timeStamp;
+			}
+		}
+		
+		if (this.options.pressure) {
+			// Redraw the outline with the new points.
+			this.plotOutline(stroke);
+		} else {
+			// Create new points in SVG syntax
+			const newPoints = added.map(([x, y]) => "L " + x + " " + y);
 
-		// Add new point to path's points
-		const points = this.path.array();
-		points.push(newPoint);
+			// Add new points to path's points
+			const points = stroke.path.array();
+			points.push(...newPoints);
 
-		// Redraw path
-		this.path.plot(points);
+			// Redraw path
+			stroke.path.plot(points);
+		}
+		
+		this.plotWetInk(stroke, d);
 	}
 
-	/** Resets state for making a path. */
+	/** Smooths the path and resets state for making a path. */
 	[SVG.Drawing.END](d) {
+		const stroke = this.strokes.get(d.pointerId);
+		if (!stroke) {
+			return; // Pointer didn't start a path.
+		}
+		
+		// Simplify and smooth. Keeps the center line to redraw or edit
+		// the path later.
+		const tolerance = this.options.tolerance ?? PathTool.TOLERANCE;
+		SVG.Stroke.plot(stroke.path.node, stroke.points, tolerance);
+		
 		// remove reference so no chance of modifying old path.
-		this.path = null;
+		stroke.wet?.remove();
+		this.strokes.delete(d.pointerId);
+		
+		const isHeld = d.timeStamp - stroke.stillSince >= PathTool.HOLD;
+		if (this.options.recognize || isHeld) {
+			this.snap(d, stroke);
+		}
+		SVG.Drawing.finished(d.node);
 	}
 
 	/** Creates the path node at the initial point. */
 	[SVG.Drawing.START](d) {
+		const target = this.svg.drawingTarget();
+		if (!target) {
+			return; // Every layer is hidden or locked.
+		}
+		
 		const [x, y] = this.align(d.point, d.rect);
+		const stroke = {
+			path: null,
+			points: [[x, y, d.pressure]],
+			wet: null,
+			still: d.point,
+			stillSince: d.timeStamp
+		};
+		this.strokes.set(d.pointerId, stroke);
 		
-		// Initial point and a 0 length line in SVG syntax 
-		// to display the point.
-		const initPoint = "M " + x + " " + y + " l 0 0";
+		if (this.options.pressure) {
+			// Filled with the stroke color instead of stroked.
+			stroke.path = target.path().attr(this.attr).attr({
+				"data-pressure": "true",
+				"fill": this.attr.stroke,
+				"stroke": "none"
+			});
+			this.plotOutline(stroke);
+		} else {
+			// Initial point and a 0 length line in SVG syntax 
+			// to display the point.
+			const initPoint = "M " + x + " " + y + " l 0 0";
 
-		// Draw the SVG path and return it.
-		this.path = this.svg.path(initPoint).attr(this.attr);
+			// Draw the SVG path and return it.
+			stroke.path = target.path(initPoint).attr(this.attr);
+		}
+		
+		if (this.options.highlight) {
+			stroke.path.attr("data-highlight", "true");
+			SVG.Drawing.underInk(stroke.path.node.parentNode);
+		}
+		
+		// Adding the path can be undone. Later points are part of it.
+		SVG.Drawing.changed(d.node, SVG.Drawing.added(stroke.path.node));
+	}
+	
+	/** Whether a stroke is being drawn. */
+	isDrawing() {
+		return this.strokes.size > 0;
+	}
+	
+	/** Plots the variable-width outline of a stroke while drawing. */
+	plotOutline(stroke) {
+		const width = Number(this.attr["stroke-width"]) || 1;
+		stroke.path.plot(SVG.Stroke.outlineData(stroke.points, width));
+	}
+	
+	/**
+	 * Replaces a finished stroke with the shape it looks like, keeping its
+	 * attributes. Dispatches the CHANGE event for it, so undoing brings the
+	 * freehand stroke back.
+	 */
+	snap(d, stroke) {
+		const shape = SVG.Stroke.recognize(stroke.points);
+		if (!shape) {
+			return;
+		}
+		
+		const node = stroke.path.node;
+		const before = SVG.Drawing.attributes(node);
+		const width = Number(node.getAttribute("stroke-width")) || 1;
+		
+		// Variable-width strokes become stroked shapes of their color.
+		if (node.hasAttribute("data-pressure")) {
+			node.setAttribute("stroke", node.getAttribute("fill"));
+			node.setAttribute("fill", "none");
+			node.removeAttribute("data-pressure");
+		}
+		node.removeAttribute("data-points");
+		node.removeAttribute("data-tolerance");
+		node.setAttribute("data-shape", shape.shape);
+		node.setAttribute("stroke-linejoin", "round");
+		node.setAttribute("d", SVG.ShapeTool.data(shape, width));
+		
+		SVG.Drawing.changed(d.node, SVG.Drawing.modified(node, before));
+	}
+	
+	/**
+	 * Shows the predicted points of the detail as "wet ink" after the end
+	 * of the stroke. The wet ink is replaced on every DRAW and removed at
+	 * END, since the real points take its place.
+	 */
+	plotWetInk(stroke, d) {
+		const predicted = (d.predicted ?? []).map(({point, pressure}) => {
+			const [x, y] = this.align(point, d.rect);
+			return [x, y, pressure];
+		});
+		
+		if (!predicted.length) {
+			stroke.wet?.remove();
+			stroke.wet = null;
+			return;
+		}
+		
+		// Starts at the last real point so there's no gap.
+		const last = stroke.points[stroke.points.length - 1];
+		const points = [last, ...predicted];
+		
+		if (!stroke.wet) {
+			stroke.wet = stroke.path.parent().path()
+				.attr(stroke.path.attr());
+			stroke.wet.attr({
+				"data-editor": "true",
+				"data-highlight": null,
+				"data-points": null,
+				"data-pressure": null,
+				"data-tolerance": null,
+				"id": null
+			});
+		}
+		
+		if (this.options.pressure) {
+			const width = Number(this.attr["stroke-width"]) || 1;
+			stroke.wet.plot(SVG.Stroke.outlineData(points, width));
+		} else {
+			const [[x0, y0], ...rest] = points;
+			const lines = rest.map(([x, y]) => "L " + x + " " + y);
+			stroke.wet.plot(["M " + x0 + " " + y0, ...lines].join(" "));
+		}
+	}
+};
+
+
+/**
+ * Draws geometric shapes as path elements. Dragging from one point to
+ * another defines the shape: the ends of a line or arrow, or the corners
+ * of the box of a rectangle, ellipse or regular polygon. Holding Shift
+ * snaps lines to angles and makes boxes square.
+ */
+SVG.ShapeTool = class ShapeTool {
+	/** Length of an arrow's head, in stroke widths. */
+	static ARROW = 4;
+	
+	/** Angle between the line and each side of an arrow's head. */
+	static ARROW_ANGLE = 30;
+	
+	/** Names of the shapes that can be dragged. */
+	static SHAPES = ["line", "arrow", "rectangle", "ellipse", "polygon"];
+	
+	/** Default number of sides of a polygon. */
+	static SIDES = 5;
+	
+	/** Angle in degrees that lines snap to while Shift is held. */
+	static SNAP_ANGLE = 45;
+	
+	/**
+	 * Returns the path data of a shape, such as the result of
+	 * SVG.Stroke.recognize(points). The shape is an object with the name
+	 * of the shape and its geometry:
+	 *     * {shape: "line" or "arrow", points: [start, end]}
+	 *     * {shape: "ellipse", center, radii: [rx, ry], angle = 0}
+	 *     * {shape: any other name, points: corners of a polygon}
+	 * Points are [x, y]. The width is the stroke-width, which sets the
+	 * size of an arrow's head.
+	 */
+	static data({shape, points, center, radii, angle = 0}, width = 1) {
+		const round = (n) => SVG.Stroke.round(n);
+		const xy = ([x, y]) => `${round(x)} ${round(y)}`;
+		
+		if (shape === "ellipse") {
+			// Two halves from one end of the x-axis to the other.
+			const [rx, ry] = radii.map(round);
+			const radians = angle * Math.PI / 180;
+			const dx = rx * Math.cos(radians);
+			const dy = rx * Math.sin(radians);
+			const a = [center[0] - dx, center[1] - dy];
+			const b = [center[0] + dx, center[1] + dy];
+			const arc = `A ${rx} ${ry} ${round(angle)} 1 0`;
+			return `M ${xy(a)} ${arc} ${xy(b)} ${arc} ${xy(a)} Z`;
+		} else if (shape === "line") {
+			return `M ${xy(points[0])} L ${xy(points[1])}`;
+		} else if (shape === "arrow") {
+			// Head is two lines back from the tip on either side.
+			const [[x0, y0], [x1, y1]] = points;
+			const length = ShapeTool.ARROW * width;
+			const spread = ShapeTool.ARROW_ANGLE * Math.PI / 180;
+			const direction = Math.atan2(y1 - y0, x1 - x0);
+			const side = (sign) => [
+				x1 - length * Math.cos(direction + sign * spread),
+				y1 - length * Math.sin(direction + sign * spread)
+			];
+			return `M ${xy(points[0])} L ${xy(points[1])} `
+				+ `M ${xy(side(1))} L ${xy(points[1])} L ${xy(side(-1))}`;
+		}
+		
+		const corners = points.map((p, i) => `${i ? "L" : "M"} ${xy(p)}`);
+		return `${corners.join(" ")} Z`;
+	}
+	
+	/**
+	 * Makes a shape.
+	 *
+	 * @param svg Makes nodes. The result of calling SVG().
+	 * @param attr Attributes of the SVG path element made.
+	 * @param options How the shape is made:
+	 *     * shape: name in ShapeTool.SHAPES. Default is "line".
+	 *     * sides: number of sides of a polygon. Default is
+	 *       ShapeTool.SIDES.
+	 */
+	constructor(svg, attr = {}, options = {}) {
+		// SVG.js path's attributes.
+		this.attr = attr;
+		
+		// Options for making the shape. Not copied, so changes apply to
+		// the next shape drawn.
+		this.options = options;
+		
+		// SVG.js factory that makes the path.
+		this.svg = svg;
+		
+		// Function that aligns coordinates from viewPort to viewBox.
+		this.align = SVG.Drawing.alignXYFn(svg.node);
+		
+		// Shapes being drawn by pointerId. Each is an object with:
+		//     * path: SVG.js path that's being drawn.
+		//     * start: [x, y] point where the drag started.
+		this.shapes = new Map();
+	}
+	
+	/** Reshapes the path for the pointer's new point. */
+	[SVG.Drawing.DRAW](d) {
+		const shape = this.shapes.get(d.pointerId);
+		if (!shape) {
+			return; // Pointer didn't start a shape.
+		}
+		
+		const end = this.align(d.point, d.rect);
+		shape.path.plot(this.pathData(shape.start, end, d.shiftKey));
+	}
+	
+	/** Resets state for making a shape. */
+	[SVG.Drawing.END](d) {
+		if (this.shapes.delete(d.pointerId)) {
+			SVG.Drawing.finished(d.node);
+		}
+	}
+	
+	/** Creates the path node at the initial point. */
+	[SVG.Drawing.START](d) {
+		const target = this.svg.drawingTarget();
+		if (!target) {
+			return; // Every layer is hidden or locked.
+		}
+		
+		const start = this.align(d.point, d.rect);
+		const name = this.options.shape ?? "line";
+		
+		// A dot until dragged, like a path.
+		const path = target.path(`M ${start[0]} ${start[1]} l 0 0`)
+			.attr({"stroke-linejoin": "round", ...this.attr})
+			.attr("data-shape", name);
+		this.shapes.set(d.pointerId, {path, start});
+		
+		// Adding the shape can be undone. Later changes are part of it.
+		SVG.Drawing.changed(d.node, SVG.Drawing.added(path.node));
+	}
+	
+	/** Whether a shape is being dragged. */
+	isDrawing() {
+		return this.shapes.size > 0;
+	}
+	
+	/**
+	 * Returns the end point moved so the line from start snaps to angles,
+	 * or so the box from start is square.
+	 */
+	constrain([x0, y0], [x, y]) {
+		const dx = x - x0;
+		const dy = y - y0;
+		const name = this.options.shape ?? "line";
+		
+		if (name === "line" || name === "arrow") {
+			const snap = ShapeTool.SNAP_ANGLE * Math.PI / 180;
+			const angle = Math.round(Math.atan2(dy, dx) / snap) * snap;
+			const length = Math.hypot(dx, dy);
+			return [
+				x0 + length * Math.cos(angle),
+				y0 + length * Math.sin(angle)
+			];
+		}
+		
+		const size = Math.max(Math.abs(dx), Math.abs(dy));
+		return [
+			x0 + (dx < 0 ? -size : size),
+			y0 + (dy < 0 ? -size : size)
+		];
+	}
+	
+	/**
+	 * Returns the path data of the shape dragged from start to end. If
+	 * isConstrained, the end is constrained first.
+	 */
+	pathData(start, end, isConstrained = false) {
+		if (isConstrained) {
+			end = this.constrain(start, end);
+		}
+		
+		const width = Number(this.attr["stroke-width"]) || 1;
+		const name = this.options.shape ?? "line";
+		const [x0, y0] = start;
+		const [x1, y1] = end;
+		const left = Math.min(x0, x1);
+		const top = Math.min(y0, y1);
+		const right = Math.max(x0, x1);
+		const bottom = Math.max(y0, y1);
+		const rx = (right - left) / 2;
+		const ry = (bottom - top) / 2;
+		const center = [left + rx, top + ry];
+		
+		switch (name) {
+			case "rectangle": {
+				const corners = [
+					[left, top],
+					[right, top],
+					[right, bottom],
+					[left, bottom]
+				];
+				return ShapeTool.data({shape: name, points: corners});
+			}
+			case "ellipse":
+				return ShapeTool.data({shape: name, center, radii: [rx, ry]});
+			case "polygon": {
+				// Regular polygon in the box, with a corner on top.
+				const sides = this.options.sides ?? ShapeTool.SIDES;
+				const corners = [];
+				for (let i = 0; i < sides; i++) {
+					const angle = 2 * Math.PI * i / sides - Math.PI / 2;
+					corners.push([
+						center[0] + rx * Math.cos(angle),
+						center[1] + ry * Math.sin(angle)
+					]);
+				}
+				return ShapeTool.data({shape: name, points: corners});
+			}
+			default:
+				return ShapeTool.data({shape: name, points: [start, end]},
+					width);
+		}
+	}
+};
+
+
+/**
+ * Makes text elements. Tapping opens a box to type in at that point, and
+ * tapping a text element edits it. The text is made or changed when the
+ * box loses focus, such as by tapping elsewhere or pressing Escape.
+ */
+SVG.TextTool = class TextTool {
+	/** Stands in for a blank line, which would have no height. */
+	static BLANK = "\u00a0";
+	
+	/** Default font-family. */
+	static FONT = "sans-serif";
+	
+	/** Height of a line, in ems. */
+	static LINE_HEIGHT = 1.2;
+	
+	/** Default font-size, in the viewBox's units. */
+	static SIZE = 16;
+	
+	/**
+	 * Returns the lines of a text element, one for each tspan.
+	 *
+	 * @param el The text element (SVGTextElement).
+	 */
+	static lines(el) {
+		const tspans = el.querySelectorAll("tspan");
+		const lines = tspans.length ? [...tspans].map(t => t.textContent)
+			: [el.textContent];
+		return lines.map(line => line === TextTool.BLANK ? "" : line);
+	}
+	
+	/**
+	 * Makes text.
+	 *
+	 * @param svg Makes nodes. The result of calling SVG().
+	 * @param options How the text looks:
+	 *     * color: fill color. Default is currentColor.
+	 *     * fontFamily: font-family. Default is TextTool.FONT.
+	 *     * fontSize: font-size in the viewBox. Default is TextTool.SIZE.
+	 */
+	constructor(svg, options = {}) {
+		// Options for the text. Not copied, so changes apply to the next
+		// text made.
+		this.options = options;
+		
+		// SVG.js factory that makes the text.
+		this.svg = svg;
+		
+		// Function that aligns coordinates from viewPort to viewBox.
+		this.align = SVG.Drawing.alignXYFn(svg.node);
+		
+		// Box being typed in, or null. An object with:
+		//     * box: SVG.js foreignObject with the textarea.
+		//     * el: text element being edited, or null for new text.
+		//     * attrs: attributes of the text made.
+		//     * textarea: HTMLTextAreaElement typed in.
+		this.editor = null;
+		
+		// timeStamp of the last time a box closed.
+		this.closedAt = -Infinity;
+	}
+	
+	/** Opens a box for new text at the point, or to edit text there. */
+	[SVG.Drawing.START](d) {
+		const target = SVG.Drawing.childFromPoint(d.point, d.node, true);
+		const isTyping = this.editor?.box.node.contains(target);
+		
+		// Tapping away from a box only closes it.
+		if (isTyping || this.closedAt >= d.timeStamp) {
+			return;
+		}
+		this.finish();
+		
+		const el = SVG.Drawing.shapeFromPoint(d.point, d.node);
+		if (el && this.edits(el)) {
+			this.open(el);
+		} else if (this.svg.drawingTarget()) {
+			// New text only where it can be seen and edited.
+			const [x, y] = this.align(d.point, d.rect);
+			this.open(null, {...this.attributes(), x, y});
+		}
+	}
+	
+	/** Attributes of new text from the options. */
+	attributes() {
+		return {
+			"fill": this.options.color ?? "currentColor",
+			"font-family": this.options.fontFamily ?? TextTool.FONT,
+			"font-size": this.options.fontSize ?? TextTool.SIZE
+		};
+	}
+	
+	/** Whether el is text this tool edits. */
+	edits(el) {
+		return el.localName === "text";
+	}
+	
+	/**
+	 * Closes the box. Makes, changes or removes the text for what was
+	 * typed. Dispatches the CHANGE event for it.
+	 */
+	finish() {
+		const editor = this.editor;
+		if (!editor) {
+			return;
+		}
+		this.editor = null;
+		
+		const {box, el, attrs, textarea} = editor;
+		box.remove();
+		el?.style.removeProperty("visibility");
+		if (el?.getAttribute("style") === "") {
+			el.removeAttribute("style");
+		}
+		
+		const lines = textarea.value.replace(/\s+$/, "").split("\n");
+		const isEmpty = !lines.join("").trim();
+		if (el && lines.join("\n") === this.constructor.lines(el).join("\n")) {
+			return; // Nothing changed.
+		}
+		
+		// Changed text replaces the old text in its place.
+		const ops = [];
+		if (!isEmpty) {
+			const text = this.plot(attrs, lines);
+			el?.before(text.node);
+			ops.push(SVG.Drawing.added(text.node));
+		}
+		if (el) {
+			ops.push(SVG.Drawing.remove([el]));
+		}
+		
+		if (ops.length) {
+			const op = SVG.Drawing.combine(ops);
+			SVG.Drawing.changed(this.svg.node, op);
+		}
+	}
+	
+	/**
+	 * Opens a box to type text with attrs in. If el is a text element, the
+	 * box has its lines and is where it is, and attrs are its attributes.
+	 */
+	open(el, attrs = SVG.Drawing.attributes(el)) {
+		const size = Number(attrs["font-size"]);
+		const lineHeight = TextTool.LINE_HEIGHT;
+		
+		// Equations have no font-family, so their source is monospace.
+		const font = attrs["font-family"] ?? "monospace";
+		
+		// Same size in the viewBox as the text, with the first line's
+		// baseline about at y.
+		const box = this.svg.foreignObject(1, 1)
+			.attr("data-editor", "true")
+			.move(Number(attrs.x ?? 0), Number(attrs.y ?? 0) - size)
+			.attr("transform", attrs.transform ?? null);
+		const textarea = document.createElement("textarea");
+		Object.assign(textarea.style, {
+			background: "transparent",
+			border: "1px dashed grey",
+			color: attrs.fill,
+			font: `${size}px/${lineHeight} ${font}`,
+			margin: 0,
+			outline: "none",
+			overflow: "hidden",
+			padding: 0,
+			resize: "none",
+			whiteSpace: "pre"
+		});
+		textarea.value = el ? this.constructor.lines(el).join("\n") : "";
+		box.node.append(textarea);
+		
+		// Grows to fit the lines.
+		const resize = () => {
+			const lines = textarea.value.split("\n");
+			textarea.rows = lines.length;
+			textarea.cols = Math.max(...lines.map(line => line.length)) + 1;
+			box.size(textarea.offsetWidth, textarea.offsetHeight);
+		};
+		textarea.addEventListener("input", resize);
+		textarea.addEventListener("keydown", (e) => {
+			if (e.key === "Escape") {
+				textarea.blur();
+			}
+		});
+		textarea.addEventListener("blur", (e) => {
+			this.closedAt = e.timeStamp;
+			this.finish();
+		});
+		
+		// The text is hidden while its box is open.
+		el?.style.setProperty("visibility", "hidden");
+		this.editor = {box, el, attrs, textarea};
+		resize();
+		textarea.focus();
+	}
+	
+	/**
+	 * Makes a text element with attrs and a tspan for each line. Returns
+	 * the SVG.js element. It's made in the svg if every layer was hidden
+	 * or locked while it was typed.
+	 */
+	plot(attrs, lines) {
+		const target = this.svg.drawingTarget() ?? this.svg;
+		const text = target.element("text").attr(attrs);
+		const x = attrs.x;
+		lines.forEach((line, i) => {
+			text.element("tspan")
+				.attr({x, dy: i ? `${TextTool.LINE_HEIGHT}em` : 0})
+				.words(line || TextTool.BLANK);
+		});
+		return text;
+	}
+};
+
+
+/**
+ * Tool that typesets math from TeX typed in a box, with SVG.TeX. The
+ * equation is a group with its source in data-tex, so tapping it opens its
+ * source again. Takes TextTool's options but fontFamily. The color also
+ * strokes the signs of roots.
+ */
+SVG.EquationTool = class EquationTool extends SVG.TextTool {
+	/** Returns the lines of an equation's source. */
+	static lines(el) {
+		return el.dataset.tex.split("\n");
+	}
+	
+	/** Attributes of new equations from the options. */
+	attributes() {
+		const color = this.options.color ?? "currentColor";
+		return {
+			"fill": color,
+			"font-size": this.options.fontSize ?? SVG.TextTool.SIZE,
+			"stroke": color
+		};
+	}
+	
+	/** Whether el is an equation. */
+	edits(el) {
+		return el.hasAttribute("data-tex");
+	}
+	
+	/**
+	 * Makes a group with attrs and the typeset lines of TeX. The baseline
+	 * of the first line starts at x, y, which become its transform. Returns
+	 * the SVG.js element.
+	 */
+	plot({x, y, ...attrs}, lines) {
+		const source = lines.join("\n");
+		const target = this.svg.drawingTarget() ?? this.svg;
+		const group = target.group().attr(attrs).attr("data-tex", source);
+		if (x !== undefined) {
+			group.attr("transform", `translate(${x} ${y})`);
+		}
+		SVG.TeX.render(group, source, Number(attrs["font-size"]));
+		return group;
 	}
 };
 
@@ -316,18 +1615,18 @@ SVG.extend(SVG.Svg, {
 		
 		if (!this.drawingDispatchers) {
 			// Lazy creation of Dispatcher for Drawing Events
-			this.drawingDispatchers = DT.dispatchers(...DT.NAMES);
-			for (const listener of this.drawingDispatchers) {
-				this.on(...listener);
-			}
+			this.drawDispatchers();
 		}
 		
 		// Turn off old drawing event listeners
 		this.off(DT.NAMES);
+		this.drawingTool = tool || null;
 		
 		if (tool) {
-			// add tool's listeners if tool exists.
-			const listeners = DT.listeners(tool);
+			// add tool's listeners if tool exists. The pen's eraser
+			// button erases with an eraser tool.
+			this.drawingEraser ??= new SVG.EraserTool(this);
+			const listeners = DT.listeners(tool, this.drawingEraser);
 			for (const listener of listeners) {
 				this.on(...listener);
 			}
@@ -335,21 +1634,95 @@ SVG.extend(SVG.Svg, {
 		
 		return this;
 	},
-	drawEraser() {
-		// Removes elements under a pointer except for attached element.
-		const removerTool = {
-			[SVG.Drawing.START](d) {
-				SVG.Drawing.removeFromPoint(d.point, d.node);
-			},
-			
-			[SVG.Drawing.DRAW](d) {
-				SVG.Drawing.removeFromPoint(d.point, d.node);
-			}
-		};
+	/** Replaces drawingDispatchers with new ones for the settings. */
+	drawDispatchers() {
+		const DT = SVG.Drawing;
+		const multiPointer = this.drawingMultiPointer ?? false;
+		
+		// Read at every event, so pointer types change without new
+		// dispatchers (which would lose strokes being drawn).
+		const accept = (e) =>
+			this.drawingPointerTypes?.includes(e.pointerType) ?? true;
+		
+		for (const listener of this.drawingDispatchers ?? []) {
+			this.off(...listener);
+		}
+		
+		this.drawingDispatchers = DT.dispatchers(...DT.NAMES, undefined,
+			undefined, multiPointer, accept);
+		for (const listener of this.drawingDispatchers) {
+			this.on(...listener);
+		}
 		
-		return this.draw(removerTool);
+		return this;
+	},
+	/** Sets whether every pointer draws on its own. */
+	drawMultiPointer(multiPointer = true) {
+		this.drawingMultiPointer = multiPointer;
+		
+		// Remake existing dispatchers. Otherwise draw() makes them.
+		if (this.drawingDispatchers) {
+			this.drawDispatchers();
+		}
+		
+		return this;
+	},
+	/**
+	 * Sets the PointerEvent.pointerType values that can draw, such as
+	 * ["pen", "mouse"] so a resting palm doesn't. Falsy lets all draw.
+	 */
+	drawPointerTypes(pointerTypes = null) {
+		this.drawingPointerTypes = pointerTypes || null;
+		return this;
+	},
+	/**
+	 * Whether the tool is in the middle of drawing something, such as a
+	 * stroke, that isn't finished.
+	 */
+	isDrawing() {
+		return this.drawingTool?.isDrawing?.() ?? false;
+	},
+	/**
+	 * Sets the layer (SVG.js group) that tools add what they draw to.
+	 * Null draws in the top layer.
+	 */
+	drawLayer(layer = null) {
+		this.drawingLayer = layer;
+		return this;
+	},
+	/**
+	 * Returns the SVG.js container that tools draw in: the layer set by
+	 * drawLayer() while it's in the drawing, or else the top layer, or
+	 * else the svg itself. Hidden and locked layers are passed over for
+	 * the top layer that isn't. Returns null if every layer is hidden or
+	 * locked, so there's nowhere to draw.
+	 */
+	drawingTarget() {
+		const DT = SVG.Drawing;
+		const layers = [...this.node.children].filter(el => DT.isLayer(el));
+		const layer = this.drawingLayer?.node;
+		if (!layers.length) {
+			return this;
+		} else if (layers.includes(layer) && DT.isEditable(layer)) {
+			return this.drawingLayer;
+		}
+		const editable = layers.filter(el => DT.isEditable(el));
+		return editable.length ? SVG(editable.at(-1)) : null;
+	},
+	drawEraser(options = {}) {
+		// Removes elements under a pointer except for attached element.
+		return this.draw(new SVG.EraserTool(this, options));
+	},
+	drawPath(attr = {}, options = {}) {
+		return this.draw(new SVG.PathTool(this, attr, options));
+	},
+	drawShape(attr = {}, options = {}) {
+		return this.draw(new SVG.ShapeTool(this, attr, options));
+	},
+	drawText(options = {}) {
+		return this.draw(new SVG.TextTool(this, options));
 	},
-	drawPath(attr = {}) {
-		return this.draw(new SVG.PathTool(this, attr));
+	drawEquation(options = {}) {
+		return this.draw(new SVG.EquationTool(this, options));
 	}
 });
\ No newline at end of file
@@ -0,0 +1,175 @@
+/*
+ * MIT License
+ */
+
+/**
+ * Exports a drawing as a standalone SVG, which looks the same without the
+ * page's CSS. Styles are written as attributes, with currentColor as the
+ * color it was, and what only the editor shows (elements with data-editor,
+ * such as the selection's box and handles) is left out.
+ */
+SVG.Export = {
+	DPI: 96, // Units of the viewBox in an inch.
+	EDITOR: "[data-editor]", // Elements only the editor shows.
+	MAX_SIZE: 16384, // Most pixels on a side of an image.
+	
+	/**
+	 * Inherited CSS properties written as attributes where they aren't
+	 * the same as the parent's, or where the element had the attribute.
+	 */
+	PROPERTIES: [
+		"clip-rule",
+		"color",
+		"fill",
+		"fill-opacity",
+		"fill-rule",
+		"font-family",
+		"font-size",
+		"font-style",
+		"font-weight",
+		"paint-order",
+		"stroke",
+		"stroke-dasharray",
+		"stroke-dashoffset",
+		"stroke-linecap",
+		"stroke-linejoin",
+		"stroke-miterlimit",
+		"stroke-opacity",
+		"stroke-width",
+		"text-anchor",
+		"visibility"
+	],
+	
+	/**
+	 * Returns a standalone copy of a drawing's svg that isn't in the
+	 * document, showing box at its real size.
+	 *
+	 * @param node The SVG element (SVGSVGElement) of the page.
+	 * @param box {x, y, width, height} of the viewBox to show.
+	 * @param options What's exported:
+	 *     * template: whether the paper template is. Default true.
+	 *     * background: whether the paper's color is, or it's clear.
+	 *       Default true.
+	 *     * shapes: array of the shapes (elements) to export, such as the
+	 *       selection. Default is every shape.
+	 */
+	svg(node, box, options = {}) {
+		const copy = node.cloneNode(true);
+		const copies = this.resolve(node, copy);
+		
+		// Other shapes of the layers are left out.
+		if (options.shapes) {
+			for (const el of node.querySelectorAll("[data-layer] > *")) {
+				if (!options.shapes.some(shape => el.contains(shape))) {
+					copies.get(el)?.remove();
+				}
+			}
+		}
+		
+		for (const el of copy.querySelectorAll(this.EDITOR)) {
+			el.remove();
+		}
+		
+		const template = SVG.Template.find(copy);
+		if (options.template === false) {
+			template?.remove();
+		} else if (options.background === false) {
+			template?.querySelector("rect")?.remove();
+		}
+		
+		const n = (v) => SVG.Stroke.round(v);
+		const {x, y, width, height} = box;
+		copy.removeAttribute("preserveAspectRatio");
+		copy.setAttribute("version", "1.1");
+		copy.setAttribute("viewBox", [x, y, width, height].map(n).join(" "));
+		copy.setAttribute("width", `${n(width / this.DPI)}in`);
+		copy.setAttribute("height", `${n(height / this.DPI)}in`);
+		return copy;
+	},
+	
+	/** Returns the markup of an SVG file of svg(node, box, options). */
+	markup(node, box, options = {}) {
+		const svg = this.svg(node, box, options);
+		const markup = new XMLSerializer().serializeToString(svg);
+		return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}\n`;
+	},
+	
+	/**
+	 * Resolves to a PNG image (Blob) of svg(node, box, options). Rejects if
+	 * it can't be drawn. Images bigger than MAX_SIZE are made smaller.
+	 *
+	 * @param options Those of svg(), and its resolution as one of:
+	 *     * dpi: pixels in an inch. Default is DPI.
+	 *     * scale: pixels in a unit of the viewBox.
+	 *     If background isn't false, the image is on paper even without
+	 *     the template. Otherwise, it's clear.
+	 */
+	async png(node, box, options = {}) {
+		const scale = Math.min(options.scale ?? (options.dpi ?? this.DPI)
+			/ this.DPI, this.MAX_SIZE / Math.max(box.width, box.height));
+		const canvas = document.createElement("canvas");
+		canvas.width = Math.max(Math.round(box.width * scale), 1);
+		canvas.height = Math.max(Math.round(box.height * scale), 1);
+		
+		// The image is drawn at the canvas's size, so it's sharp.
+		const svg = this.svg(node, box, options);
+		svg.setAttribute("width", canvas.width);
+		svg.setAttribute("height", canvas.height);
+		const markup = new XMLSerializer().serializeToString(svg);
+		const url = URL.createObjectURL(
+			new Blob([markup], {type: "image/svg+xml"}));
+		const image = new Image();
+		try {
+			image.src = url;
+			await image.decode();
+		} finally {
+			URL.revokeObjectURL(url);
+		}
+		
+		const context = canvas.getContext("2d");
+		if (options.background !== false) {
+			context.fillStyle = SVG.Template.PAPER;
+			context.fillRect(0, 0, canvas.width, canvas.height);
+		}
+		context.drawImage(image, 0, 0, canvas.width, canvas.height);
+		return new Promise((resolve, reject) => {
+			canvas.toBlob((blob) => blob ? resolve(blob)
+				: reject(new Error("The image is too big.")), "image/png");
+		});
+	},
+	
+	/**
+	 * Writes the computed styles of el and the elements in it as the
+	 * attributes of copy, a deep clone of it, and those in it. Classes are
+	 * removed, and elements that aren't displayed, such as hidden layers.
+	 * Returns a Map of each element to its copy.
+	 */
+	resolve(el, copy) {
+		const elements = [el, ...el.querySelectorAll("*")];
+		const copies = [copy, ...copy.querySelectorAll("*")];
+		const styles = new Map(elements.map(e => [e, getComputedStyle(e)]));
+		const map = new Map(elements.map((e, i) => [e, copies[i]]));
+		
+		for (const [e, c] of map) {
+			const style = styles.get(e);
+			const parent = styles.get(e.parentElement);
+			if (style.display === "none") {
+				c.remove();
+				continue;
+			}
+			
+			for (const name of this.PROPERTIES) {
+				const value = style.getPropertyValue(name);
+				const isChanged = value !== parent?.getPropertyValue(name);
+				if (isChanged || c.hasAttribute(name)) {
+					c.setAttribute(name, value);
+				}
+			}
+			if (style.opacity !== "1") {
+				c.setAttribute("opacity", style.opacity);
+			}
+			c.removeAttribute("class");
+		}
+		return map;
+	}
+};
@@ -0,0 +1,412 @@
+/*
+ * MIT License
+ */
+
+/**
+ * The .shrimp notebook format: a JSON document of a notebook's pages, their
+ * layers and shapes, the tools' presets and when it was made. A document
+ * has the version of the format it's in, and migrate() brings documents of
+ * older versions up to date, so they always open.
+ *
+ * A document (version 2) is an object with:
+ *     * format: "shrimp".
+ *     * version: 2.
+ *     * name: name of the notebook.
+ *     * metadata: {created, modified, generator}, with ISO 8601 dates and
+ *       the app that wrote it.
+ *     * presets: if saved, the attributes and options of the tools by
+ *       name, from PathAttributes.presets().
+ *     * index: index of the current page.
+ *     * pages: array of the pages in order, each with:
+ *         * viewBox: [x, y, width, height] of its view.
+ *         * template: its paper, {name, color, spacing, page, area} (see
+ *           SVG.Template.render()), or null for none.
+ *         * layer: index of the layer tools draw in, or null for the top.
+ *         * layers: array of {name, hidden, locked, shapes}, bottom first.
+ * The shapes of a layer are in the order they're drawn, each either:
+ *     * {type: "stroke", points, attrs}: a stroke of SVG.PathTool, with
+ *       its [x, y, pressure] points and the path's other attributes.
+ *     * {type: "svg", markup}: any other shape, as SVG markup.
+ *
+ * Version 1 is the records NotebookStore kept before this format. Each
+ * page was {content, viewBox}, where content is the markup of the page's
+ * children and viewBox is a string.
+ */
+const NotebookFormat = {
+	EXTENSION: ".shrimp", // Extension of the files.
+	GENERATOR: "shrimp-notes", // App that writes the documents.
+	MAX_SIZE: 100000, // Most size and place of a template's page or area.
+	NAME: "shrimp", // Value of the format property.
+	SPACING: [4, 48], // Least and most spacing of a template's lines.
+	TYPE: "application/json", // Media type of the files.
+	VERSION: 2, // Version of the documents written.
+	
+	/**
+	 * Attributes of the shapes the tools make, which are kept when a
+	 * document is read, besides data-* attributes. Others are removed.
+	 */
+	ATTRIBUTES: [
+		"color",
+		"cx",
+		"cy",
+		"d",
+		"display",
+		"dx",
+		"dy",
+		"fill",
+		"fill-opacity",
+		"fill-rule",
+		"font-family",
+		"font-size",
+		"font-style",
+		"font-weight",
+		"height",
+		"opacity",
+		"paint-order",
+		"points",
+		"pointer-events",
+		"r",
+		"rx",
+		"ry",
+		"stroke",
+		"stroke-dasharray",
+		"stroke-dashoffset",
+		"stroke-linecap",
+		"stroke-linejoin",
+		"stroke-miterlimit",
+		"stroke-opacity",
+		"stroke-width",
+		"style",
+		"text-anchor",
+		"transform",
+		"visibility",
+		"width",
+		"x",
+		"x1",
+		"x2",
+		"y",
+		"y1",
+		"y2"
+	],
+	
+	/**
+	 * SVG elements that shapes are made of, which are kept when a document
+	 * is read. Others are removed with what's in them.
+	 */
+	ELEMENTS: [
+		"circle",
+		"ellipse",
+		"g",
+		"line",
+		"path",
+		"polygon",
+		"polyline",
+		"rect",
+		"text",
+		"tspan"
+	],
+	
+	/** CSS properties kept in style attributes, such as highlighters'. */
+	STYLES: ["mix-blend-mode"],
+	
+	/**
+	 * Functions that migrate a document of version n to version n + 1, by
+	 * n. Pages that can't be migrated become null.
+	 */
+	MIGRATIONS: {
+		1: (doc) => ({
+			...doc,
+			format: "shrimp",
+			version: 2,
+			metadata: {},
+			pages: doc.pages.map(page => {
+				const elements = NotebookFormat.elements(page?.content);
+				if (!elements) {
+					return null;
+				}
+				const svg = NotebookFormat.svg();
+				svg.append(...elements);
+				const viewBox = NotebookFormat.box(page.viewBox);
+				return NotebookFormat.page(svg, viewBox);
+			})
+		})
+	},
+	
+	/**
+	 * Returns a document of any version as one of VERSION, or null if it
+	 * isn't a notebook or is from a newer version.
+	 */
+	migrate(doc) {
+		const version = doc?.version ?? 1;
+		const isNotebook = typeof doc?.name === "string"
+			&& Array.isArray(doc.pages)
+			&& (doc.format ?? this.NAME) === this.NAME
+			&& Number.isInteger(version) && version >= 1;
+		if (!isNotebook || version > this.VERSION) {
+			return null;
+		}
+		
+		try {
+			for (let v = version; v < this.VERSION; v++) {
+				doc = this.MIGRATIONS[v](doc);
+			}
+		} catch (e) {
+			return null; // Broken beyond migrating.
+		}
+		return doc;
+	},
+	
+	/** Returns a document from the text of a file, or null. */
+	parse(text) {
+		try {
+			return this.migrate(JSON.parse(text));
+		} catch (e) {
+			return null; // Not JSON.
+		}
+	},
+	
+	/** Returns the text of a file of the document. */
+	stringify(doc) {
+		return JSON.stringify(doc);
+	},
+	
+	// From the drawing
+	
+	/**
+	 * Returns the page of a document from the children of node, an svg or
+	 * a DocumentFragment. Shapes that aren't in a layer go in the bottom
+	 * one. Elements only the editor shows (with data-editor) are left out.
+	 *
+	 * @param node Node with the page's paper and layers.
+	 * @param viewBox The page's viewBox, as a string or array.
+	 * @param active Layer (element) tools draw in, if not the top one.
+	 */
+	page(node, viewBox, active) {
+		const isShape = (el) => !el.hasAttribute("data-editor");
+		const elements = [...node.children].filter(isShape);
+		const template = elements.find(el => el.hasAttribute("data-template"));
+		const layers = elements.filter(el => SVG.Drawing.isLayer(el));
+		const loose = elements.filter(el =>
+			el !== template && !layers.includes(el));
+		
+		const page = {
+			viewBox: typeof viewBox === "string" ? this.box(viewBox) : viewBox,
+			template: template ? {
+				name: template.dataset.template,
+				...SVG.Template.options(template)
+			} : null,
+			layer: layers.includes(active) ? layers.indexOf(active) : null,
+			layers: layers.map(layer => ({
+				name: layer.dataset.layer,
+				hidden: layer.getAttribute("display") === "none",
+				locked: layer.hasAttribute("data-locked"),
+				shapes: [...layer.children].filter(isShape)
+					.map(el => this.shape(el))
+			}))
+		};
+		
+		if (loose.length && !page.layers.length) {
+			page.layers.push({
+				name: `${Layers.NAME} 1`,
+				hidden: false,
+				locked: false,
+				shapes: []
+			});
+		}
+		page.layers[0]?.shapes.unshift(...loose.map(el => this.shape(el)));
+		return page;
+	},
+	
+	/** Returns a shape of a document from its element. */
+	shape(el) {
+		const points = el.localName === "path" && SVG.Stroke.points(el);
+		if (!points) {
+			const markup = new XMLSerializer().serializeToString(el);
+			return {type: "svg", markup};
+		}
+		
+		const attrs = SVG.Drawing.attributes(el);
+		delete attrs["data-points"];
+		return {type: "stroke", points, attrs};
+	},
+	
+	// To the drawing
+	
+	/**
+	 * Returns the paper, layers and shapes of a document's page as the
+	 * content of a DocumentFragment, and the layer tools draw in or null.
+	 * Layers and shapes that aren't right are skipped.
+	 *
+	 * @return {content, layer}
+	 */
+	content(page) {
+		const list = (array) => Array.isArray(array) ? array : [];
+		const svg = this.svg();
+		
+		const template = page.template;
+		if (typeof template?.name === "string") {
+			SVG.Template.render(svg, template.name, this.paper(template));
+		}
+		
+		const layers = list(page.layers).filter(layer =>
+			typeof layer === "object" && layer);
+		for (const layer of layers) {
+			const group = SVG(svg).group()
+				.attr("data-layer", String(layer.name ?? ""));
+			if (layer.hidden) {
+				group.attr("display", "none");
+			}
+			if (layer.locked) {
+				group.attr({"data-locked": "true", "pointer-events": "none"});
+			}
+			
+			const shapes = list(layer.shapes).map(shape =>
+				this.element(shape));
+			group.node.append(...shapes.filter(Boolean));
+		}
+		
+		const content = document.createDocumentFragment();
+		const layer = svg.querySelectorAll(":scope > [data-layer]")[page.layer];
+		content.append(...svg.childNodes);
+		return {content, layer: layer ?? null};
+	},
+	
+	/**
+	 * Returns the options of a document's template for SVG.Template.render.
+	 * Options that aren't right are left out, so their defaults are used.
+	 * Spacing is kept within SPACING, and the page and area can't be bigger
+	 * or farther than MAX_SIZE, so there aren't too many lines to draw.
+	 */
+	paper(template) {
+		const options = {};
+		if (template.color !== undefined) {
+			options.color = this.clean("stroke", template.color) ?? undefined;
+		}
+		
+		const [min, max] = this.SPACING;
+		const spacing = Number(template.spacing);
+		if (Number.isFinite(spacing) && spacing > 0) {
+			options.spacing = Math.min(Math.max(spacing, min), max);
+		}
+		
+		for (const key of ["page", "area"]) {
+			const {x, y, width, height} = template[key] ?? {};
+			const box = this.box([x, y, width, height]);
+			if (box?.every(v => Math.abs(v) <= this.MAX_SIZE)) {
+				options[key] = {
+					x: box[0], y: box[1], width: box[2], height: box[3]
+				};
+			}
+		}
+		return options;
+	},
+	
+	/** Returns the element of a document's shape, or null if it's bad. */
+	element(shape) {
+		if (shape?.type === "svg") {
+			return this.elements(shape.markup)?.[0] ?? null;
+		} else if (shape?.type !== "stroke" || !Array.isArray(shape.points)) {
+			return null;
+		}
+		
+		const points = shape.points.filter(point => Array.isArray(point))
+			.map(([x, y, p = SVG.Stroke.PRESSURE]) =>
+				[Number(x), Number(y), Number(p)])
+			.filter(point => point.every(Number.isFinite));
+		if (!points.length) {
+			return null;
+		}
+		
+		const path = document.createElementNS(SVG.namespaces.svg, "path");
+		for (const [name, value] of Object.entries(shape.attrs ?? {})) {
+			const clean = this.clean(name, value);
+			if (clean !== null) {
+				path.setAttribute(name, clean);
+			}
+		}
+		if (path.hasAttribute("d")) {
+			path.setAttribute("data-points", SVG.Stroke.encode(points));
+		} else {
+			SVG.Stroke.plot(path, points, SVG.Stroke.tolerance(path, 0));
+		}
+		return path;
+	},
+	
+	/**
+	 * Returns an array of the elements in SVG markup, or null if it isn't
+	 * markup. Only the ELEMENTS and attributes (see clean()) that shapes
+	 * have are kept, so nothing in it can run script or load anything.
+	 */
+	elements(markup) {
+		if (typeof markup !== "string") {
+			return null;
+		}
+		
+		const text = `<svg xmlns="${SVG.namespaces.svg}">${markup}</svg>`;
+		const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+		if (doc.querySelector("parsererror")) {
+			return null;
+		}
+		
+		const root = doc.documentElement;
+		for (const el of root.querySelectorAll("*")) {
+			const isShape = el.namespaceURI === SVG.namespaces.svg
+				&& this.ELEMENTS.includes(el.localName);
+			if (!isShape) {
+				el.remove();
+				continue;
+			}
+			
+			for (const {name, value} of [...el.attributes]) {
+				const clean = this.clean(name, value);
+				if (clean === null) {
+					el.removeAttribute(name);
+				} else if (clean !== value) {
+					el.setAttribute(name, clean);
+				}
+			}
+		}
+		return [...root.children].map(el => document.importNode(el, true));
+	},
+	
+	// Utilities
+	
+	/**
+	 * Returns a viewBox, as a string or array, as [x, y, width, height], or
+	 * null if it isn't one.
+	 */
+	box(string) {
+		const box = String(string).trim().split(/[\s,]+/).map(Number);
+		const isBox = box.length === 4 && box.every(Number.isFinite)
+			&& box[2] > 0 && box[3] > 0;
+		return isBox ? box : null;
+	},
+	
+	/**
+	 * Returns the value of an attribute of a shape as it's kept, or null if
+	 * it's removed. Only data-* attributes and the ATTRIBUTES are kept, and
+	 * not if their value loads something with url(). Style attributes keep
+	 * only the declarations of STYLES.
+	 */
+	clean(name, value) {
+		value = String(value);
+		if (/^data-[\w-]+$/.test(name)) {
+			return value;
+		} else if (!this.ATTRIBUTES.includes(name) || /url\(/i.test(value)) {
+			return null;
+		} else if (name !== "style") {
+			return value;
+		}
+		
+		const declarations = value.split(";")
+			.map(declaration => declaration.split(":").map(s => s.trim()))
+			.filter(([property, v]) =>
+				this.STYLES.includes(property) && /^[\w-]+$/.test(v ?? ""));
+		return declarations.map(d => d.join(": ")).join("; ") || null;
+	},
+	
+	/** Returns a new svg element that isn't in the document. */
+	svg() {
+		return document.createElementNS(SVG.namespaces.svg, "svg");
+	}
+};
@@ -0,0 +1,89 @@
+/*
+ * MIT License
+ */
+
+/**
+ * Undo/redo history of the reversible changes made in an SVG node. Tools
+ * dispatch SVG.Drawing.CHANGE events whose detail is an operation with
+ * undo() and redo() functions. Each event is one step of the history.
+ */
+SVG.History = class History {
+	/** Default number of steps that can be undone. */
+	static LIMIT = 100;
+	
+	/**
+	 * Makes a History that records the changes of node.
+	 *
+	 * @param node The element (usually SVGSVGElement) the tools dispatch
+	 *        SVG.Drawing.CHANGE events on.
+	 * @param limit Maximum number of steps kept. The oldest are dropped.
+	 */
+	constructor(node, limit = History.LIMIT) {
+		// Operations that can be undone, oldest first.
+		this.done = [];
+		
+		// Operations that can be redone, most recently undone last.
+		this.undone = [];
+		
+		// Maximum number of operations kept.
+		this.limit = limit;
+		
+		// Called with no arguments after each change, undo or redo.
+		this.onchange = null;
+		
+		node.addEventListener(SVG.Drawing.CHANGE, (e) => this.add(e.detail));
+	}
+	
+	/** Records an operation that was just done. Clears the redo steps. */
+	add(op) {
+		this.done.push(op);
+		if (this.done.length > this.limit) {
+			this.done.shift();
+		}
+		this.undone = [];
+		this.onchange?.();
+	}
+	
+	/** Whether there's a step to redo. */
+	canRedo() {
+		return this.undone.length > 0;
+	}
+	
+	/** Whether there's a step to undo. */
+	canUndo() {
+		return this.done.length > 0;
+	}
+	
+	/** Forgets every step. */
+	clear() {
+		this.done = [];
+		this.undone = [];
+		this.onchange?.();
+	}
+	
+	/** Does the last undone step again. Returns false if there's none. */
+	redo() {
+		const op = this.undone.pop();
+		if (!op) {
+			return false;
+		}
+		
+		op.redo();
+		this.done.push(op);
+		this.onchange?.();
+		return true;
+	}
+	
+	/** Reverses the last step. Returns false if there's none. */
+	undo() {
+		const op = this.done.pop();
+		if (!op) {
+			return false;
+		}
+		
+		op.undo();
+		this.undone.push(op);
+		this.onchange?.();
+		return true;
+	}
+};
@@ -4,115 +4,933 @@
  * MIT License
  */
 
-/** Drawing tool that can select shapes to move them. */
+/**
+ * Drawing tool that can select shapes to move, resize, rotate, delete or
+ * restyle them. In lasso mode, a loop drawn around shapes selects them all.
+ * Resizing and rotating are baked into the shapes when the pointer is up.
+ */
 class MoveTool {
 	static FILL = {color: "grey", opacity: "0.5"};
 	
-	constructor(svg) {
+	/** Size of the handles in pixels. */
+	static HANDLE = 10;
+	
+	/** SVG attributes of the handles. */
+	static HANDLE_STYLE = {
+		"fill": "white",
+		"stroke": "grey",
+		"vector-effect": "non-scaling-stroke"
+	};
+	
+	/**
+	 * Handles for resizing by name, with where they are on the selection
+	 * box as fractions of its width and height.
+	 */
+	static HANDLES = {
+		nw: [0, 0],
+		n: [0.5, 0],
+		ne: [1, 0],
+		e: [1, 0.5],
+		se: [1, 1],
+		s: [0.5, 1],
+		sw: [0, 1],
+		w: [0, 0.5]
+	};
+	
+	/** Angle in degrees that rotating snaps to while Shift is held. */
+	static SNAP_ANGLE = 15;
+	
+	/** Fraction of a shape that must be inside the lasso to select it. */
+	static LASSO_FRACTION = 0.5;
+	
+	/** SVG attributes of the lasso's line. */
+	static LASSO = {
+		"fill": "none",
+		"stroke": "grey",
+		"stroke-dasharray": "4 4",
+		"vector-effect": "non-scaling-stroke"
+	};
+	
+	/**
+	 * @param svg The SVG.js factory/document.
+	 * @param options How shapes are selected:
+	 *     * lasso: if true, dragging draws a loop that selects every
+	 *       shape mostly inside it. Tapping still selects one shape.
+	 */
+	constructor(svg, options = {}) {
 		// The SVG.js factory/document.
 		this.svg = svg;
 		
+		// Options for selecting. Not copied, so changes apply right away.
+		this.options = options;
+		
 		// Function that aligns coordinates from viewPort to viewBox.
 		this.align = SVG.Drawing.alignXYFn(svg.node);
 		
+		// SVG.js polyline of the lasso being drawn.
+		this.lasso = null;
+		
 		// The selection that's being transformed.
 		this.reset();
 	}
 	
 	[SVG.Drawing.START](d) {
-		const el = SVG.Drawing.childFromPoint(d.point, d.node);
+		// Another pointer is already moving the selection.
+		if (this.pointerId !== null) {
+			return;
+		}
+		
+		const el = SVG.Drawing.childFromPoint(d.point, d.node, true);
+		const point = this.align(d.point, d.rect);
+		
+		// Don't select again if already selected or selecting background.
+		const isSelected = el && (this.group?.node.contains(el)
+			|| this.handles?.node.contains(el));
 		
-		// Stop transforming when pointer down under empty space.
-		if (!el) {
+		if (!isSelected && this.options.lasso) {
+			// Draw a loop around the shapes to select.
+			this.unSelect();
+			this.lasso = this.svg.polyline([point]).attr(MoveTool.LASSO)
+				.attr("data-editor", "true");
+			this.pointerId = d.pointerId;
+			return;
+		} else if (!el) {
+			// Stop transforming when pointer down under empty space.
 			this.unSelect();
 			return; // all done.
+		} else if (!isSelected) {
+			const shape = SVG.Drawing.shapeFromPoint(d.point, d.node);
+			if (!shape) {
+				// Nothing there can be selected, such as a locked shape.
+				this.unSelect();
+				return;
+			}
+			this.select([SVG(shape)]);
 		}
 		
-		// Don't do anything if already selected or selecting background.
-		const isSelected = el === this.shape?.node || el === this.bg?.node;
-			
-		if (!isSelected) {
-			// Remove selection if one is already selected.
-			if (this.group) {
-				this.unSelect();
+		// Handles resize or rotate. Anything else selected moves.
+		this.startTransform(point, d.pointerId, el.dataset.handle ?? "move");
+	}
+	
+	[SVG.Drawing.DRAW](d) {
+		// Don't do anything for other pointers.
+		if (d.pointerId !== this.pointerId) {
+			return;
+		}
+		
+		if (this.lasso) {
+			// Add the new points to the loop.
+			const points = (d.samples ?? [d]).map(({point}) =>
+				this.align(point, d.rect));
+			this.lasso.plot([...this.lasso.array(), ...points]);
+		} else if (this.group) {
+			// Transform the selection until the pointer is up.
+			const point = this.align(d.point, d.rect);
+			this.matrix = this.matrixFor(point, d.shiftKey);
+			this.group.attr("transform", this.matrix.toString());
+			this.handles.attr("transform", this.matrix.toString());
+		}
+	}
+	
+	[SVG.Drawing.END](d) {
+		if (d.pointerId !== this.pointerId) {
+			return;
+		}
+		this.pointerId = null;
+		
+		if (this.lasso) {
+			this.endLasso(d);
+			return;
+		}
+		
+		// Transforming the shapes can be undone.
+		this.group.attr("transform", null);
+		this.handles.attr("transform", null).show();
+		this.bake(this.matrix);
+		this.changed(this.before);
+	}
+	
+	/**
+	 * Transforms the selected shapes by a SVG.Matrix, baking it into
+	 * their coordinates. Then fits the selection box to them.
+	 */
+	bake(matrix) {
+		if (!matrix.equals(new SVG.Matrix())) {
+			for (const {node} of this.shapes) {
+				SVG.Drawing.transform(node, matrix);
 			}
+			this.select(this.shapes);
+		}
+	}
+	
+	/**
+	 * Dispatches the CHANGE event for the attributes of the shapes that
+	 * changed since before, a Map of each shape's node to its attributes.
+	 */
+	changed(before) {
+		const ops = this.shapes
+			.map(({node}) => SVG.Drawing.modified(node, before.get(node)))
+			.filter(op => op);
+		
+		if (ops.length) {
+			SVG.Drawing.changed(this.svg.node, SVG.Drawing.combine(ops));
+		}
+	}
+	
+	/** Returns a Map of each selected shape's node to its attributes. */
+	attributes() {
+		const attrs = new Map();
+		for (const {node} of this.shapes) {
+			attrs.set(node, SVG.Drawing.attributes(node));
+		}
+		return attrs;
+	}
+	
+	/**
+	 * Changes which shapes the selected shapes are in front of and behind.
+	 * Dispatches the CHANGE event for it. Where is one of:
+	 *     * front: in front of every shape.
+	 *     * forward: in front of the next shape above.
+	 *     * backward: behind the next shape below.
+	 *     * back: behind every shape.
+	 */
+	arrange(where) {
+		const shapes = this.shapes;
+		if (!shapes.length) {
+			return;
+		}
+		
+		// Shapes must be in their places, not in the selection group.
+		this.unSelect();
+		
+		// Selected shapes by their parent, in the order they're drawn.
+		const selection = new Map();
+		for (const {node} of shapes) {
+			const parent = node.parentNode;
+			selection.set(parent, [...selection.get(parent) ?? [], node]);
+		}
+		
+		const ops = [];
+		for (const [parent, selected] of selection) {
+			const before = [...parent.childNodes];
+			const siblings = SVG.Drawing.shapes(parent);
+			const isSelected = (el) => selected.includes(el);
 			
-			// Get the SVG.js representation.
-			const shape = SVG(el);
-			
-			// Dimensions of the background box.
-			const size = Number(el.getAttribute("stroke-width"));
-			const bgW = shape.width() + size;
-			const bgH = shape.height() + size;
-			const bgX = shape.x() - size/2;
-			const bgY = shape.y() - size/2;
-			const bgFill = MoveTool.FILL;
-			const bgTrans = shape.transform();
-			
-			// Group for the shape and background.
-			// Selected shape will be brought to front
-			// (last child of svg element).
-			const group = this.svg.group();
-			
-			// Background goes in first to be behind selected shape.
-			const background = group.rect(bgW, bgH)
-				.move(bgX, bgY)
-				.fill(bgFill)
-				.transform(bgTrans);
+			if (where === "front") {
+				let anchor = siblings.at(-1);
+				for (const el of selected) {
+					anchor.after(el);
+					anchor = el;
+				}
+			} else if (where === "back") {
+				let anchor = siblings[0];
+				for (const el of selected.slice().reverse()) {
+					anchor.before(el);
+					anchor = el;
+				}
+			} else if (where === "forward") {
+				// Swap with the shape above, starting at the top.
+				for (let i = siblings.length - 2; i >= 0; i--) {
+					const [el, next] = [siblings[i], siblings[i + 1]];
+					if (isSelected(el) && !isSelected(next)) {
+						next.after(el);
+						[siblings[i], siblings[i + 1]] = [next, el];
+					}
+				}
+			} else if (where === "backward") {
+				// Swap with the shape below, starting at the bottom.
+				for (let i = 1; i < siblings.length; i++) {
+					const [previous, el] = [siblings[i - 1], siblings[i]];
+					if (isSelected(el) && !isSelected(previous)) {
+						previous.before(el);
+						[siblings[i - 1], siblings[i]] = [el, previous];
+					}
+				}
+			}
 			
-			// Put selected shape into the group now.
-			group.add(shape);
+			// Highlighter strokes stay under the ink.
+			SVG.Drawing.underInk(parent);
 			
-			// Keep a reference to the shape to resize or move it.
-			this.group = group;
-			this.bg = background;
-			this.shape = shape;
+			const op = SVG.Drawing.reordered(parent, before);
+			if (op) {
+				ops.push(op);
+			}
 		}
 		
-		const point = this.align(d.point, d.rect);
-		const x = point[0] - this.shape.x();
-		const y = point[1] - this.shape.y();
-		this.offset = [x, y];
+		if (ops.length) {
+			SVG.Drawing.changed(this.svg.node, SVG.Drawing.combine(ops));
+		}
+		this.select(shapes);
 	}
 	
-	[SVG.Drawing.DRAW](d) {
-		// Don't do anything if nothing is selected.
-		if (!this.group) {
+	/**
+	 * Selects the shapes mostly inside the lasso, or the shape under the
+	 * pointer if the lasso was only a tap.
+	 */
+	endLasso(d) {
+		const loop = this.lasso.array().map(([x, y]) => [x, y]);
+		this.lasso.remove();
+		this.lasso = null;
+		
+		if (loop.length < 3) {
+			const el = SVG.Drawing.shapeFromPoint(d.point, d.node);
+			if (el) {
+				this.select([SVG(el)]);
+			}
 			return;
 		}
 		
-		// move drawing to new position.
-		const point = this.align(d.point, d.rect);
-		const x = point[0] - this.offset[0];
-		const y = point[1] - this.offset[1];
-		this.group.move(x, y);
+		const isInside = (point) => SVG.Stroke.isInside(point, loop);
+		const shapes = SVG.Drawing.shapes(d.node).filter(el => {
+			// Points on the shape, or the corners of its box, moved by its
+			// transform to where they're drawn.
+			const box = el.getBBox();
+			const spacing = Math.max(box.width, box.height) / 20 || 1;
+			const matrix = SVG.Drawing.matrix(el);
+			const points = (SVG.Stroke.sample(el, spacing) ?? [
+				[box.x, box.y],
+				[box.x + box.width, box.y],
+				[box.x, box.y + box.height],
+				[box.x + box.width, box.y + box.height]
+			]).map(point => SVG.Drawing.mapPoint(point, matrix));
+			const count = points.filter(isInside).length;
+			return count / points.length >= MoveTool.LASSO_FRACTION;
+		});
+		
+		this.select(shapes.map(el => SVG(el)));
 	}
 	
-	[SVG.Drawing.END](d) {
+	/**
+	 * Removes the selected shapes. Dispatches the CHANGE event for it.
+	 */
+	remove() {
+		const nodes = this.shapes.map(shape => shape.node);
+		
+		// Shapes are put back in their places before removing them, so
+		// undoing puts them there.
+		this.unSelect();
+		
+		if (nodes.length) {
+			const op = SVG.Drawing.remove(nodes);
+			SVG.Drawing.changed(this.svg.node, op);
+		}
 	}
 	
-	/** Nulls references to the group, background, and shape selected. */
+	/**
+	 * Returns the SVG.Matrix that transforms the selection for the pointer
+	 * at point. Shift keeps the aspect ratio while resizing and snaps the
+	 * angle while rotating.
+	 */
+	matrixFor([x, y], isConstrained) {
+		const [startX, startY] = this.start;
+		const {x: left, y: top, width, height} = this.box;
+		
+		if (this.handle === "move") {
+			return new SVG.Matrix().translate(x - startX, y - startY);
+		} else if (this.handle === "rotate") {
+			const cx = left + width / 2;
+			const cy = top + height / 2;
+			const radians = Math.atan2(y - cy, x - cx)
+				- Math.atan2(startY - cy, startX - cx);
+			let angle = radians * 180 / Math.PI;
+			if (isConstrained) {
+				const snap = MoveTool.SNAP_ANGLE;
+				angle = Math.round(angle / snap) * snap;
+			}
+			return new SVG.Matrix().rotate(angle, cx, cy);
+		}
+		
+		// Resize from the opposite side, which stays put.
+		const [u, v] = MoveTool.HANDLES[this.handle];
+		const anchorX = left + (1 - u) * width;
+		const anchorY = top + (1 - v) * height;
+		const factor = (to, from, anchor) =>
+			from === anchor ? 1 : (to - anchor) / (from - anchor);
+		let scaleX = u === 0.5 ? 1 : factor(x, startX, anchorX);
+		let scaleY = v === 0.5 ? 1 : factor(y, startY, anchorY);
+		
+		if (isConstrained) {
+			// Same scale for both, from the side moved or moved most.
+			const isX = v === 0.5
+				|| (u !== 0.5 && Math.abs(scaleX) > Math.abs(scaleY));
+			scaleX = scaleY = isX ? scaleX : scaleY;
+		}
+		return new SVG.Matrix().scale(scaleX, scaleY, anchorX, anchorY);
+	}
+	
+	/** Nulls references to the group, background, and shapes selected. */
 	reset() {
 		this.group = null;
 		this.bg = null;
-		this.shape = null;
-		this.offset = [];
+		this.handles = null;
+		this.shapes = [];
+		this.places = []; // Functions that put the shapes back.
+		this.pointerId = null; // Pointer transforming the selection.
+		this.handle = null; // Name of what the pointer is dragging.
+		this.matrix = new SVG.Matrix(); // Transform while dragging.
+		this.before = new Map(); // Shapes' attributes before dragging.
+		this.box = null; // Selection box before dragging.
+		this.start = []; // Pointer's point when starting to drag.
+	}
+	
+	/**
+	 * Rotates the selected shapes by an angle in degrees around the center
+	 * of the selection. Dispatches the CHANGE event for it.
+	 */
+	rotate(angle) {
+		if (!this.shapes.length || this.pointerId !== null) {
+			return;
+		}
+		
+		const before = this.attributes();
+		const {cx, cy} = this.bg.bbox();
+		this.bake(new SVG.Matrix().rotate(angle, cx, cy));
+		this.changed(before);
 	}
 	
-	/** Unselects shape. */
+	/**
+	 * Puts the shapes in a group with a background box behind them so
+	 * they can be moved together. Removes the last selection.
+	 *
+	 * @param shapes Array of SVG.js elements.
+	 */
+	select(shapes) {
+		this.unSelect();
+		if (!shapes.length) {
+			return;
+		}
+		
+		// In the order they're drawn, which they keep in the group.
+		shapes = shapes.slice().sort((a, b) =>
+			a.node.compareDocumentPosition(b.node)
+				& Node.DOCUMENT_POSITION_PRECEDING ? 1 : -1);
+		
+		// Where each shape goes back to when unselected.
+		const places = shapes.map(({node}) => SVG.Drawing.placeFn(node));
+		
+		// Group for the shapes and background. It goes where the top shape
+		// is, so the shapes stay above and below the same shapes.
+		const group = this.svg.group();
+		shapes.at(-1).node.after(group.node);
+		for (const shape of shapes) {
+			group.add(shape);
+		}
+		
+		// Background is as big as the shapes and their widest stroke.
+		const size = Math.max(0, ...shapes.map(shape =>
+			Number(shape.attr("stroke-width")) || 0));
+		const box = group.bbox();
+		
+		// Background goes in first to be behind selected shapes.
+		const background = group.rect(box.width + size, box.height + size)
+			.move(box.x - size/2, box.y - size/2)
+			.fill(MoveTool.FILL)
+			.attr("data-editor", "true")
+			.back();
+		
+		// Keep a reference to the shapes to resize or move them.
+		this.group = group;
+		this.bg = background;
+		this.shapes = shapes;
+		this.places = places;
+		
+		this.addHandles(background.bbox());
+	}
+	
+	/**
+	 * Adds the handles for resizing at the corners and edges of the box,
+	 * and a handle for rotating above it. They're in front of everything,
+	 * so shapes above the selection don't cover them.
+	 */
+	addHandles({x, y, width, height}) {
+		// Handles are the same size on screen at any zoom.
+		const rect = this.svg.node.getBoundingClientRect();
+		const unit = this.align([1, 0], rect)[0] - this.align([0, 0], rect)[0];
+		const size = MoveTool.HANDLE * unit;
+		
+		const handles = this.svg.group().attr("data-editor", "true");
+		for (const [name, [u, v]] of Object.entries(MoveTool.HANDLES)) {
+			handles.rect(size, size)
+				.center(x + u * width, y + v * height)
+				.attr("data-handle", name);
+		}
+		
+		const cx = x + width / 2;
+		const top = y - 3 * size;
+		handles.line(cx, y, cx, top);
+		handles.circle(size).center(cx, top).attr("data-handle", "rotate");
+		
+		for (const handle of handles.children()) {
+			handle.attr(MoveTool.HANDLE_STYLE);
+		}
+		this.handles = handles;
+	}
+	
+	/**
+	 * Starts dragging the selection or a handle with a pointer at point.
+	 * The handle is a name in MoveTool.HANDLES, "rotate" or "move".
+	 */
+	startTransform(point, pointerId, handle) {
+		this.pointerId = pointerId;
+		this.handle = handle;
+		this.matrix = new SVG.Matrix();
+		this.start = point;
+		this.box = this.bg.bbox();
+		
+		// To undo the transform.
+		this.before = this.attributes();
+		
+		// Handles would be distorted by resizing or rotating.
+		if (handle !== "move") {
+			this.handles.hide();
+		}
+	}
+	
+	/**
+	 * Sets attributes of the selected shapes, such as stroke and
+	 * stroke-width. Dispatches the CHANGE event for it.
+	 */
+	style(attrs) {
+		if (!this.shapes.length) {
+			return;
+		}
+		
+		const before = this.attributes();
+		for (const {node} of this.shapes) {
+			// Variable-width strokes and text are filled with their color.
+			// Equations are both.
+			const isVariable = node.hasAttribute("data-pressure");
+			const isFilled = isVariable || node.localName === "text";
+			const isEquation = node.hasAttribute("data-tex");
+			for (const [name, value] of Object.entries(attrs)) {
+				const prop = isFilled && name === "stroke" ? "fill" : name;
+				node.setAttribute(prop, value);
+				if (isEquation && name === "stroke") {
+					node.setAttribute("fill", value);
+				}
+			}
+			
+			// Redraw the outline for the new width.
+			if (isVariable && "stroke-width" in attrs) {
+				const points = SVG.Stroke.points(node);
+				const tolerance = SVG.Stroke.tolerance(node,
+					SVG.PathTool.TOLERANCE);
+				SVG.Stroke.plot(node, points, tolerance);
+			}
+		}
+		this.changed(before);
+		
+		// Fit the background to the new widths.
+		this.select(this.shapes);
+	}
+	
+	/** Unselects shapes. */
 	unSelect() {
 		if (this.group) {
-			// Flatten group.
-			this.group.ungroup();
-			
-			// Remove background.
+			// Remove background and handles.
 			this.bg.remove();
+			this.handles.remove();
+			
+			// Put the shapes back where they were. Last first, since a
+			// shape's place can be in front of the next selected shape.
+			this.places.slice().reverse().forEach(place => place());
+			this.group.remove();
 		}
 		this.reset();
 	}
 };
 
 
+/**
+ * Named layers of the drawing. A layer is a group in the svg with its name
+ * in data-layer. Hidden layers have display="none", and locked ones have
+ * data-locked and pointer-events="none", so tools can't select or erase
+ * their shapes. Every change to the layers dispatches the CHANGE event, so
+ * it can be undone.
+ */
+class Layers {
+	/** Name of new layers, before their number. */
+	static NAME = "Layer";
+	
+	/** @param svg The SVG.js factory/document. */
+	constructor(svg) {
+		// SVG.js factory that makes the layers.
+		this.svg = svg;
+	}
+	
+	/**
+	 * Returns the layer picked to draw in, or undefined if none. Tools draw
+	 * in another one while it's hidden or locked (see target()).
+	 */
+	active() {
+		const layer = this.svg.drawingLayer?.node;
+		return layer?.parentNode === this.svg.node ? layer
+			: this.all().at(-1);
+	}
+	
+	/**
+	 * Makes a new layer above the active one and draws in it. Its name is
+	 * Layers.NAME and a number that isn't taken.
+	 */
+	add() {
+		const names = this.all().map(layer => layer.dataset.layer);
+		let n = names.length + 1;
+		while (names.includes(`${Layers.NAME} ${n}`)) {
+			n++;
+		}
+		
+		const name = `${Layers.NAME} ${n}`;
+		const layer = this.svg.group().attr("data-layer", name);
+		this.active()?.after(layer.node);
+		this.select(layer.node);
+		this.changed(SVG.Drawing.added(layer.node));
+	}
+	
+	/** Returns an array of the layers, bottom first. */
+	all() {
+		return [...this.svg.node.children].filter(el =>
+			SVG.Drawing.isLayer(el));
+	}
+	
+	/** Dispatches the CHANGE event for an operation on the layers. */
+	changed(op) {
+		if (op) {
+			SVG.Drawing.changed(this.svg.node, op);
+		}
+	}
+	
+	/** Hides or shows a layer. */
+	hide(layer, hidden = true) {
+		const before = SVG.Drawing.attributes(layer);
+		if (hidden) {
+			layer.setAttribute("display", "none");
+		} else {
+			layer.removeAttribute("display");
+		}
+		this.changed(SVG.Drawing.modified(layer, before));
+	}
+	
+	/** Locks or unlocks a layer. */
+	lock(layer, locked = true) {
+		const before = SVG.Drawing.attributes(layer);
+		if (locked) {
+			layer.setAttribute("data-locked", "true");
+			layer.setAttribute("pointer-events", "none");
+		} else {
+			layer.removeAttribute("data-locked");
+			layer.removeAttribute("pointer-events");
+		}
+		this.changed(SVG.Drawing.modified(layer, before));
+	}
+	
+	/**
+	 * Moves a layer up (by 1) or down (by -1) past the next layer, so its
+	 * shapes are drawn over or under that layer's.
+	 */
+	move(layer, by) {
+		const layers = this.all();
+		const other = layers[layers.indexOf(layer) + by];
+		if (!other || by === 0) {
+			return;
+		}
+		
+		const before = [...this.svg.node.childNodes];
+		if (by > 0) {
+			other.after(layer);
+		} else {
+			other.before(layer);
+		}
+		this.changed(SVG.Drawing.reordered(this.svg.node, before));
+	}
+	
+	/** Removes a layer and its shapes, unless it's the only one. */
+	remove(layer) {
+		if (this.all().length > 1) {
+			this.changed(SVG.Drawing.remove([layer]));
+		}
+	}
+	
+	/** Renames a layer. Blank names are ignored. */
+	rename(layer, name) {
+		name = name.trim();
+		if (name && name !== layer.dataset.layer) {
+			const before = SVG.Drawing.attributes(layer);
+			layer.setAttribute("data-layer", name);
+			this.changed(SVG.Drawing.modified(layer, before));
+		}
+	}
+	
+	/** Sets the layer that tools draw in. */
+	select(layer) {
+		this.svg.drawLayer(SVG(layer));
+	}
+	
+	/**
+	 * Returns the layer that tools draw in, which is the active one unless
+	 * it's hidden or locked, or null if every layer is.
+	 */
+	target() {
+		const target = this.svg.drawingTarget();
+		return target === this.svg ? null : target?.node ?? null;
+	}
+	
+	/**
+	 * Makes sure the drawing has a layer, and puts shapes that aren't in
+	 * one under the bottom layer's. It's how a drawing starts, so it isn't
+	 * a change that can be undone.
+	 */
+	wrap() {
+		const node = this.svg.node;
+		const shapes = SVG.Drawing.shapes(node)
+			.filter(el => el.parentNode === node);
+		
+		let layer = this.all()[0];
+		if (!layer) {
+			layer = this.svg.group().attr("data-layer", `${Layers.NAME} 1`)
+				.node;
+			node.prepend(layer);
+		}
+		layer.prepend(...shapes);
+	}
+}
+
+
+/**
+ * Pages of a drawing, in order. Only the current page is in the svg. The
+ * others keep their content in a DocumentFragment, with their viewBox,
+ * undo history and active layer, so each page is panned, zoomed and undone
+ * on its own.
+ */
+class Notebook {
+	/** Name of new notebooks, before their number. */
+	static NAME = "Notebook";
+	
+	/** Sizes of pages by name, in the viewBox's units (96 dpi). */
+	static SIZES = {
+		a4: {width: 794, height: 1123}, // 210 mm x 297 mm
+		letter: {width: 816, height: 1056} // 8.5" x 11"
+	};
+	
+	/**
+	 * @param svg The SVG.js factory/document of the pages.
+	 * @param history SVG.History of the svg, whose steps are the page's.
+	 * @param layers Layers of the svg, so new pages get one.
+	 */
+	constructor(svg, history, layers) {
+		// SVG.js factory/document the current page is in.
+		this.svg = svg;
+		
+		// History with the current page's steps.
+		this.history = history;
+		
+		// Layers of the current page.
+		this.layers = layers;
+		
+		// Name it's saved by.
+		this.name = `${Notebook.NAME} 1`;
+		
+		// When it was made, as an ISO 8601 date.
+		this.created = new Date().toISOString();
+		
+		// Pages in order. Each is an object with:
+		//     * content: DocumentFragment of its children, or null if it's
+		//       the current page and they're in the svg.
+		//     * viewBox: its viewBox attribute.
+		//     * done, undone: its History steps.
+		//     * layer: SVG.js layer tools draw in, or null.
+		this.pages = [{content: null}];
+		
+		// Index of the current page.
+		this.index = 0;
+		
+		// {width, height} of new pages.
+		this.size = Notebook.SIZES.letter;
+	}
+	
+	/**
+	 * Adds a page of size after the current one, on the same paper, and
+	 * goes to it.
+	 */
+	add() {
+		const template = SVG.Template.find(this.svg.node);
+		const name = template?.dataset.template ?? Sketch.TEMPLATE;
+		const options = template ? SVG.Template.options(template) : {};
+		const {width, height} = this.size;
+		
+		this.pages.splice(this.index + 1, 0, {
+			content: document.createDocumentFragment(),
+			viewBox: `0 0 ${width} ${height}`,
+			done: [],
+			undone: [],
+			layer: null
+		});
+		this.go(this.index + 1);
+		
+		// Paper of the page's size, and a layer to draw in.
+		SVG.Template.render(this.svg.node, name, {
+			...options,
+			page: {x: 0, y: 0, width, height},
+			area: undefined
+		});
+		this.layers.wrap();
+		this.history.onchange?.();
+	}
+	
+	/** Goes to the page at index, if there's one. */
+	go(index) {
+		const page = this.pages[index];
+		if (!page || index === this.index) {
+			return;
+		}
+		
+		this.stash(this.pages[this.index]);
+		this.index = index;
+		this.restore(page);
+	}
+	
+	/**
+	 * Replaces the notebook with a document of NotebookFormat's VERSION,
+	 * and goes to its current page. Pages that can't be read are dropped,
+	 * and if none are left it starts with a new page. Pages missing their
+	 * paper or a layer get them. Nothing can be undone. Returns the number
+	 * of pages dropped.
+	 */
+	load(doc) {
+		const saved = Array.isArray(doc.pages) ? doc.pages : [];
+		const pages = saved.map(page => this.parse(page)).filter(Boolean);
+		if (!pages.length) {
+			pages.push(this.parse({}));
+		}
+		
+		this.name = String(doc.name ?? this.name);
+		this.created = doc.metadata?.created ?? new Date().toISOString();
+		this.svg.node.replaceChildren();
+		this.pages = pages;
+		this.index = 0;
+		this.restore(pages[0]);
+		this.repair();
+		for (let i = 1; i < pages.length; i++) {
+			this.go(i);
+			this.repair();
+		}
+		
+		const index = Math.trunc(doc.index) || 0;
+		this.go(Math.min(Math.max(index, 0), pages.length - 1));
+		return saved.length - pages.length;
+	}
+	
+	/** Goes to the next page. */
+	next() {
+		this.go(this.index + 1);
+	}
+	
+	/**
+	 * Returns a page from a page of a document, or null if it isn't one. A
+	 * missing or bad viewBox is the size of new pages.
+	 */
+	parse(page) {
+		if (typeof page !== "object" || !page) {
+			return null;
+		}
+		
+		const {content, layer} = NotebookFormat.content(page);
+		const box = NotebookFormat.box(page.viewBox);
+		const {width, height} = this.size;
+		return {
+			content,
+			viewBox: box ? box.join(" ") : `0 0 ${width} ${height}`,
+			done: [],
+			undone: [],
+			layer: layer && SVG(layer)
+		};
+	}
+	
+	/** Goes to the previous page. */
+	previous() {
+		this.go(this.index - 1);
+	}
+	
+	/**
+	 * Removes the current page and goes to the next one, or the previous
+	 * one if it was last. The only page can't be removed.
+	 */
+	remove() {
+		if (this.pages.length < 2) {
+			return;
+		}
+		
+		const index = this.index;
+		this.go(index + 1 < this.pages.length ? index + 1 : index - 1);
+		this.pages.splice(index, 1);
+		this.index = this.pages.findIndex(page => !page.content);
+		this.history.onchange?.();
+	}
+	
+	/**
+	 * Gives the current page paper the size of its viewBox and a layer, if
+	 * it doesn't have them.
+	 */
+	repair() {
+		const node = this.svg.node;
+		if (!SVG.Template.find(node)) {
+			const {x, y, width, height} = this.svg.viewbox();
+			SVG.Template.render(node, Sketch.TEMPLATE, {
+				page: {x, y, width, height}
+			});
+		}
+		this.layers.wrap();
+	}
+	
+	/** Puts the svg's page back from what stash() kept. */
+	restore(page) {
+		const node = this.svg.node;
+		node.append(page.content);
+		node.setAttribute("viewBox", page.viewBox);
+		page.content = null;
+		
+		this.svg.drawLayer(page.layer);
+		this.history.done = page.done;
+		this.history.undone = page.undone;
+		this.history.onchange?.();
+	}
+	
+	/**
+	 * Returns the notebook as a document of NotebookFormat, without the
+	 * tools' presets. Histories aren't kept.
+	 */
+	save() {
+		const node = this.svg.node;
+		const page = ({content, viewBox, layer}) => content
+			? NotebookFormat.page(content, viewBox, layer?.node)
+			: NotebookFormat.page(node, node.getAttribute("viewBox"),
+				this.svg.drawingLayer?.node);
+		return {
+			format: NotebookFormat.NAME,
+			version: NotebookFormat.VERSION,
+			name: this.name,
+			metadata: {
+				created: this.created,
+				modified: new Date().toISOString(),
+				generator: NotebookFormat.GENERATOR
+			},
+			index: this.index,
+			pages: this.pages.map(page)
+		};
+	}
+	
+	/** Moves the svg's page into the page object. */
+	stash(page) {
+		const node = this.svg.node;
+		page.content = document.createDocumentFragment();
+		page.content.append(...node.childNodes);
+		page.viewBox = node.getAttribute("viewBox");
+		page.layer = this.svg.drawingLayer ?? null;
+		page.done = this.history.done;
+		page.undone = this.history.undone;
+	}
+}
+
+
 /**
  * Sample that uses drawing.js classes. Controls which events are attached
  * to the svg node and the parameters for those events. */
@@ -125,6 +943,33 @@ class Sketch {
 		"stroke-width": "2"
 	};
 	
+	/**
+	 * Default SVG attributes of highlighter strokes: wide, see-through and
+	 * flat, and multiplied with what's under them like a marker.
+	 */
+	static HIGHLIGHTER = {
+		"fill": "none",
+		"stroke": "#ffff00",
+		"stroke-linecap": "butt",
+		"stroke-linejoin": "round",
+		"stroke-opacity": "0.5",
+		"stroke-width": "20",
+		"style": "mix-blend-mode: multiply"
+	};
+	
+	/**
+	 * Space in the viewBox kept around the content. Content this near the
+	 * edge of an infinite canvas grows it, and the view can go this far
+	 * past the content.
+	 */
+	static MARGIN = 96;
+	
+	/** Name of the paper template of new pages in SVG.Template. */
+	static TEMPLATE = "college";
+	
+	/** Number of changes that can be undone. */
+	static HISTORY = 100;
+	
 	/** Default Pan and Zoom settings. */
 	static TOOL_ZOOM = {
 		oneFingerPan: false, // Use two fingers instead.
@@ -134,88 +979,651 @@ class Sketch {
 		zoomMin: 1/8
 	};
 	
-	/** View "Finger" mode Pan and Zoom settings. */
-	static VIEW_ZOOM = {
-		...this.TOOL_ZOOM,
-		oneFingerPan: true, // Use one finger.
-		panButton: 0 // mouse left-click. 
-	};
+	/** Pan and Zoom settings when touch only pans, so pens draw. */
+	static PEN_ZOOM = {
+		...this.TOOL_ZOOM,
+		oneFingerPan: true // Touch pans, since it can't draw.
+	};
+	
+	/**
+	 * Input modes by name. Each is the pointer types that draw, erase and
+	 * select, or null for all. Touch can always pan and zoom.
+	 *     * all: every pointer draws.
+	 *     * pen: pens (and mice) draw. Touch only pans, so palms don't ink.
+	 *     * auto: like all until a pen is used, then like pen.
+	 */
+	static INPUTS = {
+		all: null,
+		auto: null,
+		pen: ["pen", "mouse"]
+	};
+	
+	/** View "Finger" mode Pan and Zoom settings. */
+	static VIEW_ZOOM = {
+		...this.TOOL_ZOOM,
+		oneFingerPan: true, // Use one finger.
+		panButton: 0 // mouse left-click. 
+	};
+	
+	/**
+	 * Utility function that returns dimensions of either:
+	 * 1. the content size (via BBox),
+	 * 2. or if falsy then the node's viewport size (BoundingClientRect),
+	 * 3. or if falsy then the default dimensions 300x150.
+	 *
+	 * @param node The SVG node (SVGSVGElement).
+	 * @return [width, height] Valid viewBox dimensions.
+	 */
+	static alignDimensions(node) {
+		const bBox = node.getBBox?.() ?? {}; // Content size.
+		const rect = node.getBoundingClientRect?.() ?? {}; // Element size.
+		const width = bBox?.width || rect?.width || 300;
+		const height = bBox?.height || rect?.height || 150;
+		return [width, height];
+	}
+	
+	/**
+	 * Utility function that makes verifies/creates a SVG node's viewBox. If
+	 * the node doesn't have a viewBox attribute, or if the viewBox's width
+	 * or height are 0 or negative, then ViewBox.alignDimensions(node)
+	 * is called.
+	 *
+	 * @param node The SVG node (SVGSVGElement)
+	 */
+	static validateViewBox(node) {
+		// baseVal doesn't exist when attribute is missing for Firefox
+		const {x=0, y=0, width=0, height=0} = node?.viewBox?.baseVal ?? {};
+		
+		// Make sure dimensions are valid.
+		if (width <= 0 || height <= 0) {
+			const [w, h] = this.alignDimensions(node);
+			node.setAttribute("viewBox", `${x} ${y} ${w} ${h}`);
+		}
+	}
+	
+	/** The node is the SVG Element. */
+	constructor(node) {
+		// Paper behind the drawing. Its size is the first viewBox.
+		if (!SVG.Template.find(node)) {
+			SVG.Template.render(node, Sketch.TEMPLATE);
+		}
+		
+		// Make sure has a good viewBox.
+		Sketch.validateViewBox(node);
+		
+		// Factory that makes SVG elements from SVG.js.
+		this.svg = SVG(node);
+		
+		// Tool for selecting and editing shapes.
+		this.transformer = new MoveTool(this.svg);
+		
+		// Layers that shapes are drawn in. There's always one.
+		this.layers = new Layers(this.svg);
+		this.layers.wrap();
+		
+		// Changes that can be undone.
+		this.history = new SVG.History(node, Sketch.HISTORY);
+		
+		// Pages, each with its own content, view and history.
+		this.notebook = new Notebook(this.svg, this.history, this.layers);
+		
+		// Whether the canvas grows with the content.
+		this.isInfinite = false;
+		
+		// Whether there are changes that weren't saved to a file.
+		this.isDirty = false;
+		
+		// Keep the view over the canvas, however it's panned or zoomed.
+		// Changes can grow the canvas.
+		new MutationObserver(() => this.limitView())
+			.observe(node, {attributeFilter: ["viewBox"]});
+		node.addEventListener(SVG.Drawing.CHANGE, () => {
+			this.isDirty = true;
+			this.grow();
+		});
+		node.addEventListener(SVG.Drawing.FINISH, () => this.grow());
+		
+		// Name of the input mode in Sketch.INPUTS.
+		this.input = "all";
+		
+		// Whether a pen was used, for the auto input mode.
+		this.penDetected = false;
+		
+		// Whether a tool is used instead of only panning and zooming.
+		this.isTool = false;
+		
+		// Must be added before drawing dispatchers, so the first pen
+		// event already sees the pen input mode.
+		node.addEventListener("pointerdown", (e) => {
+			if (e.pointerType === "pen" && !this.penDetected) {
+				this.penDetected = true;
+				this.inputMode(this.input);
+			}
+		});
+		
+		// Styluses also make touch events. Don't let them pan while
+		// touch is reserved for panning.
+		this.svg.on(["panning", "pinchZoomStart"], (e) => {
+			const touches = e.detail.event?.touches ?? [];
+			const isStylus = [...touches].some(t => t.touchType === "stylus");
+			if (isStylus && this.isPenOnly()) {
+				e.preventDefault();
+			}
+		});
+		
+		// Initial state: no tool but zoom/pan.
+		this.panZoom();
+	}
+	
+	/**
+	 * Sets tool to draw with a SVG path element. Highlighters draw with
+	 * Sketch.HIGHLIGHTER and options.highlight.
+	 */
+	addPath(attr = Sketch.PATH, options = {}) {
+		this.transformer.unSelect();
+		this.svg.drawPath(attr, options);
+		this.zoomFor(true);
+	}
+	
+	/**
+	 * Sets tool to draw a shape with a SVG path element. The options.shape
+	 * is the name of the shape in SVG.ShapeTool.SHAPES.
+	 */
+	addShape(attr = Sketch.PATH, options = {}) {
+		this.transformer.unSelect();
+		this.svg.drawShape(attr, options);
+		this.zoomFor(true);
+	}
+	
+	/**
+	 * Sets tool to type text. Options are the text's color, fontFamily
+	 * and fontSize.
+	 */
+	addText(options = {}) {
+		this.transformer.unSelect();
+		this.svg.drawText(options);
+		this.zoomFor(true);
+	}
+	
+	/**
+	 * Sets tool to typeset math from TeX. Options are the equation's color
+	 * and fontSize.
+	 */
+	addEquation(options = {}) {
+		this.transformer.unSelect();
+		this.svg.drawEquation(options);
+		this.zoomFor(true);
+	}
+	
+	/**
+	 * Sets which pointers draw, erase and select. The mode is a name in
+	 * Sketch.INPUTS. When only pens draw, one finger pans instead.
+	 */
+	inputMode(mode = "all") {
+		this.input = mode;
+		
+		const pointerTypes = this.isPenOnly() ? Sketch.INPUTS.pen
+			: Sketch.INPUTS[mode];
+		this.svg.drawPointerTypes(pointerTypes);
+		
+		// Update touch panning for the tool.
+		this.zoomFor(this.isTool);
+	}
+	
+	/** Whether touch is reserved for panning and zooming. */
+	isPenOnly() {
+		const input = this.input;
+		return input === "pen" || (input === "auto" && this.penDetected);
+	}
+	
+	/**
+	 * Sets whether every pointer draws on its own, so several people can
+	 * draw at once. Otherwise only one finger or pen draws at a time.
+	 */
+	multiPointer(enabled = true) {
+		this.svg.drawMultiPointer(enabled);
+	}
+	
+	/** Does the last undone change again. */
+	redo() {
+		this.transformer.unSelect();
+		this.isDirty ||= this.history.canRedo();
+		this.history.redo();
+		this.grow();
+	}
+	
+	/** Reverses the last change. */
+	undo() {
+		// The selection isn't part of the history.
+		this.transformer.unSelect();
+		this.isDirty ||= this.history.canUndo();
+		this.history.undo();
+		this.grow();
+	}
+	
+	/** Removes tool and sets zoom attributes to VIEW_ZOOM */
+	panZoom() {
+		this.transformer.unSelect();
+		this.svg.draw(false);
+		this.zoomFor(false);
+	}
+	
+	/**
+	 * Sets tool to remove element under it. If options.partial is true,
+	 * only erases the parts of strokes within options.radius pixels.
+	 */
+	removeShape(options = {}) {
+		this.transformer.unSelect();
+		this.svg.drawEraser(options);
+		this.zoomFor(true);
+	}
+	
+	/**
+	 * Sets tool to select shapes to move, delete or restyle them. If
+	 * options.lasso is true, a loop drawn around shapes selects them.
+	 */
+	editShape(options = {}) {
+		const tool = this.transformer;
+		tool.options = options;
+		this.svg.draw(tool);
+		this.zoomFor(true);
+	}
+	
+	/** Brings the selected shapes in front of every shape. */
+	bringToFront() {
+		this.transformer.arrange("front");
+	}
+	
+	/** Brings the selected shapes in front of the next shape above. */
+	bringForward() {
+		this.transformer.arrange("forward");
+	}
+	
+	/** Sends the selected shapes behind the next shape below. */
+	sendBackward() {
+		this.transformer.arrange("backward");
+	}
+	
+	/** Sends the selected shapes behind every shape. */
+	sendToBack() {
+		this.transformer.arrange("back");
+	}
+	
+	/** Makes a new layer above the active one and draws in it. */
+	addLayer() {
+		this.transformer.unSelect();
+		this.layers.add();
+	}
+	
+	/** Hides or shows a layer. Its shapes can't be selected or erased. */
+	hideLayer(layer, hidden = true) {
+		this.transformer.unSelect();
+		this.layers.hide(layer, hidden);
+	}
+	
+	/** Locks or unlocks a layer. Its shapes can't be selected or erased. */
+	lockLayer(layer, locked = true) {
+		this.transformer.unSelect();
+		this.layers.lock(layer, locked);
+	}
+	
+	/** Moves the active layer under the one below it. */
+	lowerLayer() {
+		this.transformer.unSelect();
+		this.layers.move(this.layers.active(), -1);
+	}
+	
+	/** Moves the active layer over the one above it. */
+	raiseLayer() {
+		this.transformer.unSelect();
+		this.layers.move(this.layers.active(), 1);
+	}
+	
+	/** Removes the active layer and its shapes, unless it's the last one. */
+	removeLayer() {
+		this.transformer.unSelect();
+		this.layers.remove(this.layers.active());
+	}
+	
+	/** Renames a layer. */
+	renameLayer(layer, name) {
+		this.layers.rename(layer, name);
+	}
+	
+	/** Sets the layer that tools draw in. */
+	selectLayer(layer) {
+		this.layers.select(layer);
+	}
+	
+	/**
+	 * Draws the page on paper named in SVG.Template.TEMPLATES. Options are
+	 * the color and spacing of its lines. Dispatches the CHANGE event for
+	 * it.
+	 */
+	useTemplate(name, options = {}) {
+		const node = this.svg.node;
+		const old = SVG.Template.find(node);
+		const ops = old ? [SVG.Drawing.remove([old])] : [];
+		
+		// The page keeps its size and the options not given.
+		options = {...old && SVG.Template.options(old), ...options};
+		const template = SVG.Template.render(node, name, options);
+		ops.push(SVG.Drawing.added(template));
+		SVG.Drawing.changed(node, SVG.Drawing.combine(ops));
+	}
+	
+	/** Adds a page after the current one and goes to it. */
+	addPage() {
+		this.transformer.unSelect();
+		this.isDirty = true;
+		this.notebook.add();
+		this.zoomFor(this.isTool);
+	}
+	
+	/** Goes to the next page. */
+	nextPage() {
+		this.transformer.unSelect();
+		this.notebook.next();
+		this.zoomFor(this.isTool);
+	}
+	
+	/** Goes to the previous page. */
+	previousPage() {
+		this.transformer.unSelect();
+		this.notebook.previous();
+		this.zoomFor(this.isTool);
+	}
+	
+	/** Removes the current page, unless it's the only one. */
+	removePage() {
+		this.transformer.unSelect();
+		this.isDirty ||= this.notebook.pages.length > 1;
+		this.notebook.remove();
+		this.zoomFor(this.isTool);
+	}
+	
+	/** Sets the width and height (in the viewBox) of new pages. */
+	setPageSize(width, height) {
+		this.notebook.size = {width, height};
+	}
+	
+	/**
+	 * Opens a notebook from a document of NotebookFormat, in place of this
+	 * one. It starts without unsaved changes. Returns the number of its
+	 * pages that were dropped since they were broken.
+	 */
+	openNotebook(doc) {
+		this.transformer.unSelect();
+		this.isDirty = false;
+		const dropped = this.notebook.load(doc);
+		this.zoomFor(this.isTool);
+		return dropped;
+	}
+	
+	/** Starts a new notebook named name with one page. */
+	newNotebook(name) {
+		this.openNotebook({name, pages: []});
+	}
+	
+	/** Renames the notebook. */
+	renameNotebook(name) {
+		this.notebook.name = name;
+		this.isDirty = true;
+	}
+	
+	/**
+	 * Returns the notebook as a document of NotebookFormat, from
+	 * Notebook.save(). Returns null while strokes or shapes are drawn,
+	 * shapes are lassoed or dragged or text is typed, since they aren't
+	 * done yet. The selection stays.
+	 */
+	save() {
+		const tool = this.transformer;
+		const isTyping = this.svg.node.querySelector("foreignObject");
+		if (tool.pointerId !== null || isTyping || this.svg.isDrawing()) {
+			return null;
+		}
+		
+		// Shapes must be in their places, not in the selection group.
+		const shapes = tool.shapes;
+		tool.unSelect();
+		const doc = this.notebook.save();
+		tool.select(shapes);
+		return doc;
+	}
+	
+	/** Removes the selected shapes. */
+	deleteSelection() {
+		this.transformer.remove();
+	}
+	
+	/** Rotates the selected shapes by an angle in degrees. */
+	rotateSelection(angle) {
+		this.transformer.rotate(angle);
+	}
+	
+	/** Sets SVG attributes, such as stroke, of the selected shapes. */
+	styleSelection(attrs) {
+		this.transformer.style(attrs);
+	}
+	
+	/**
+	 * Returns the SVG.Box of the canvas in the viewBox: the paper, and the
+	 * content with MARGIN around it. Null if there's neither.
+	 */
+	canvasBox() {
+		const template = SVG.Template.find(this.svg.node);
+		let box = template && new SVG.Box(SVG.Template.options(template).area);
+		
+		const content = this.contentBox();
+		if (content) {
+			const margin = Sketch.MARGIN;
+			const around = new SVG.Box(
+				content.x - margin,
+				content.y - margin,
+				content.width + 2 * margin,
+				content.height + 2 * margin
+			);
+			box = box?.merge(around) ?? around;
+		}
+		return box;
+	}
+	
+	/**
+	 * Returns the SVG.Box of the shapes of the page's visible layers in
+	 * the viewBox, or null if there are none.
+	 */
+	contentBox() {
+		let box = null;
+		for (const layer of this.layers.all()) {
+			if (layer.getAttribute("display") === "none") {
+				continue;
+			}
+			const {x, y, width, height} = layer.getBBox();
+			if (width || height) {
+				const layerBox = new SVG.Box(x, y, width, height);
+				box = box?.merge(layerBox) ?? layerBox;
+			}
+		}
+		return box;
+	}
+	
+	/**
+	 * Returns the SVG.Box of an area of the page to export in the viewBox,
+	 * or null if it's empty. The area is one of:
+	 *     * page: the page, or the view if it has no paper.
+	 *     * content: the shapes of the visible layers and their strokes.
+	 *     * view: what's shown.
+	 *     * selection: the selected shapes.
+	 */
+	exportBox(area = "page") {
+		const template = SVG.Template.find(this.svg.node);
+		if (area === "content") {
+			// Strokes reach half their width past the shapes' boxes.
+			const strokes = this.svg.node
+				.querySelectorAll("[data-layer] [stroke-width]");
+			const width = (el) => Number(el.getAttribute("stroke-width")) || 0;
+			const pad = Math.max(0, ...[...strokes].map(width)) / 2;
+			const box = this.contentBox();
+			return box && new SVG.Box(box.x - pad, box.y - pad,
+				box.width + 2 * pad, box.height + 2 * pad);
+		} else if (area === "selection") {
+			return this.transformer.bg?.bbox() ?? null;
+		} else if (area === "page" && template) {
+			return new SVG.Box(SVG.Template.options(template).page);
+		}
+		return this.svg.viewbox();
+	}
 	
 	/**
-	 * Utility function that returns dimensions of either:
-	 * 1. the content size (via BBox),
-	 * 2. or if falsy then the node's viewport size (BoundingClientRect),
-	 * 3. or if falsy then the default dimensions 300x150.
-	 *
-	 * @param node The SVG node (SVGSVGElement).
-	 * @return [width, height] Valid viewBox dimensions.
+	 * Returns the markup of a standalone SVG file of an area of the page
+	 * (see exportBox()), or null if it's empty. The selection area only
+	 * has the selected shapes. Options are those of SVG.Export.svg().
 	 */
-	static alignDimensions(node) {
-		const bBox = node.getBBox?.() ?? {}; // Content size.
-		const rect = node.getBoundingClientRect?.() ?? {}; // Element size.
-		const width = bBox?.width || rect?.width || 300;
-		const height = bBox?.height || rect?.height || 150;
-		return [width, height];
+	exportSVG(area = "page", options = {}) {
+		const box = this.exportBox(area);
+		return box && SVG.Export.markup(this.svg.node, box,
+			this.exportOptions(area, options));
 	}
 	
 	/**
-	 * Utility function that makes verifies/creates a SVG node's viewBox. If
-	 * the node doesn't have a viewBox attribute, or if the viewBox's width
-	 * or height are 0 or negative, then ViewBox.alignDimensions(node)
-	 * is called.
-	 *
-	 * @param node The SVG node (SVGSVGElement)
+	 * Returns a Promise of a PNG image (Blob) of an area of the page (see
+	 * exportBox()), or null if it's empty. The selection area only has the
+	 * selected shapes. Options are those of SVG.Export.png(), such as its
+	 * dpi.
 	 */
-	static validateViewBox(node) {
-		// baseVal doesn't exist when attribute is missing for Firefox
-		const {x=0, y=0, width=0, height=0} = node?.viewBox?.baseVal ?? {};
-		
-		// Make sure dimensions are valid.
-		if (width <= 0 || height <= 0) {
-			const [w, h] = this.alignDimensions(node);
-			node.setAttribute("viewBox", `${x} ${y} ${w} ${h}`);
+	exportPNG(area = "page", options = {}) {
+		const box = this.exportBox(area);
+		return box && SVG.Export.png(this.svg.node, box,
+			this.exportOptions(area, options));
+	}
+	
+	/** Returns the options of SVG.Export for an area of exportBox(). */
+	exportOptions(area, options) {
+		if (area !== "selection") {
+			return options;
 		}
+		const shapes = this.transformer.shapes.map(shape => shape.node);
+		return {...options, shapes};
 	}
+	
+	/** Zooms and pans to show all of the page's content, or its paper. */
+	fitAll() {
+		const content = this.contentBox();
+		const template = SVG.Template.find(this.svg.node);
+		if (content) {
+			const margin = Sketch.MARGIN / 2;
+			this.svg.viewbox(
+				content.x - margin,
+				content.y - margin,
+				content.width + 2 * margin,
+				content.height + 2 * margin
+			);
+		} else if (template) {
+			this.svg.viewbox(SVG.Template.options(template).page);
+		}
+	}
+	
+	/**
+	 * Grows the paper of an infinite canvas by whole pages on each side
+	 * that content comes within MARGIN of. Does nothing for other canvases.
+	 */
+	grow() {
+		const template = SVG.Template.find(this.svg.node);
+		const content = this.contentBox();
+		if (!this.isInfinite || !template || !content) {
+			return;
+		}
 		
-	/** The node is the SVG Element. */
-	constructor(node) {
-		// Make sure has a good viewBox.
-		Sketch.validateViewBox(node);
-		
-		// Factory that makes SVG elements from SVG.js.
-		this.svg = SVG(node);
-		
-		// Tool for selecting and editing shapes.
-		this.transformer = new MoveTool(this.svg);
+		// Edge of the page, or of a page next to it, around v.
+		const {page, area} = SVG.Template.options(template);
+		const margin = Sketch.MARGIN;
+		const edge = (v, start, size, round) =>
+			start + round((v - start) / size) * size;
+		const left = Math.min(area.x,
+			edge(content.x - margin, page.x, page.width, Math.floor));
+		const top = Math.min(area.y,
+			edge(content.y - margin, page.y, page.height, Math.floor));
+		const right = Math.max(area.x + area.width,
+			edge(content.x2 + margin, page.x, page.width, Math.ceil));
+		const bottom = Math.max(area.y + area.height,
+			edge(content.y2 + margin, page.y, page.height, Math.ceil));
 		
-		// Initial state: no tool but zoom/pan.
-		this.panZoom();
+		const isSame = left === area.x && top === area.y
+			&& right === area.x + area.width
+			&& bottom === area.y + area.height;
+		if (!isSame) {
+			SVG.Template.resize(template, {
+				x: left,
+				y: top,
+				width: right - left,
+				height: bottom - top
+			});
+			this.zoomFor(this.isTool);
+		}
 	}
 	
-	/** Sets tool to draw with a SVG path element. */
-	addPath(attr = Sketch.PATH) {
-		this.transformer.unSelect();
-		this.svg.drawPath(attr).panZoom(Sketch.TOOL_ZOOM);
-		
+	/**
+	 * Sets whether the canvas grows in any direction as content nears its
+	 * edges, instead of staying the size of the page.
+	 */
+	infiniteCanvas(enabled = true) {
+		this.isInfinite = enabled;
+		this.grow();
+		this.zoomFor(this.isTool);
 	}
 	
-	/** Removes tool and sets zoom attributes to VIEW_ZOOM */
-	panZoom() {
-		this.transformer.unSelect();
-		this.svg.draw(false).panZoom(Sketch.VIEW_ZOOM);
+	/**
+	 * Keeps the middle of the view over the canvas, so panning and zooming
+	 * can't wander off into nothing.
+	 */
+	limitView() {
+		const canvas = this.canvasBox();
+		if (!canvas) {
+			return;
+		}
 		
+		const view = this.svg.viewbox();
+		const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+		const cx = clamp(view.cx, canvas.x, canvas.x2);
+		const cy = clamp(view.cy, canvas.y, canvas.y2);
+		if (cx !== view.cx || cy !== view.cy) {
+			const x = cx - view.width / 2;
+			const y = cy - view.height / 2;
+			this.svg.viewbox(x, y, view.width, view.height);
+		}
 	}
 	
-	/** Sets tool to remove element under it. */
-	removeShape() {
-		this.transformer.unSelect();
-		this.svg.drawEraser().panZoom(Sketch.TOOL_ZOOM);
-		
+	/**
+	 * Returns the least zoom level (pixels per unit of the viewBox), at
+	 * which the whole canvas fits in the svg.
+	 */
+	zoomMin() {
+		const canvas = this.canvasBox();
+		const {clientWidth, clientHeight} = this.svg.node;
+		if (!canvas || !clientWidth || !clientHeight) {
+			return Sketch.TOOL_ZOOM.zoomMin;
+		}
+		return Math.min(clientWidth / canvas.width,
+			clientHeight / canvas.height);
 	}
 	
-	editShape() {
-		const tool = this.transformer;
-		this.svg.draw(tool).panZoom(Sketch.TOOL_ZOOM);
+	/**
+	 * Sets pan and zoom attributes for using a tool (TOOL_ZOOM, or
+	 * PEN_ZOOM if touch only pans) or for only panning (VIEW_ZOOM). The
+	 * least zoom fits the canvas.
+	 */
+	zoomFor(isTool) {
+		this.isTool = isTool;
+		
+		const zoomMin = this.zoomMin();
+		if (!isTool) {
+			this.svg.panZoom({...Sketch.VIEW_ZOOM, zoomMin});
+		} else if (this.isPenOnly()) {
+			this.svg.panZoom({...Sketch.PEN_ZOOM, zoomMin});
+		} else {
+			this.svg.panZoom({...Sketch.TOOL_ZOOM, zoomMin});
+		}
 	}
 }
 
@@ -224,6 +1632,8 @@ class Sketch {
 class PathAttributes {
 	attrsMap = new Map();          // Map of names with path attributes.
 	defaultPath = Sketch.PATH; // Default path copied.
+	defaultPaths = {highlighter: Sketch.HIGHLIGHTER}; // Defaults by name.
+	optionsMap = new Map();        // Map of names with path tool options.
 	widths = [1, 2, 3, 5, 10, 20]; // Possible width values.
 	
 	/** Gets an object of attributes or makes one if it doesn't exist. */
@@ -235,12 +1645,59 @@ class PathAttributes {
 		}
 		else {
 			// make a new name/value pair.
-			const attrs = { ...this.defaultPath};
+			const attrs = { ...this.defaultPaths[name] ?? this.defaultPath};
 			map.set(name, attrs);
 			return attrs;
 		}
 	}
 	
+	/** Gets an object of tool options or makes one if it doesn't exist. */
+	getOptions(name) {
+		const map = this.optionsMap;
+		
+		if (!map.has(name)) {
+			map.set(name, {});
+		}
+		return map.get(name);
+	}
+	
+	/**
+	 * Returns the attributes and options of each named tool, to save with
+	 * a notebook.
+	 */
+	presets() {
+		const names = [...this.attrsMap.keys(), ...this.optionsMap.keys()];
+		return Object.fromEntries(names.map(name => [name, {
+			attrs: this.attrsMap.get(name),
+			options: this.optionsMap.get(name)
+		}]));
+	}
+	
+	/**
+	 * Sets the attributes and options of the named tools from presets(),
+	 * in the objects the tools already have.
+	 */
+	usePresets(presets) {
+		for (const [name, preset] of Object.entries(presets ?? {})) {
+			for (const [prop, value] of Object.entries(preset?.attrs ?? {})) {
+				// Only attributes shapes can have, as in their documents.
+				const clean = NotebookFormat.clean(prop, value);
+				if (clean !== null) {
+					this.setAttribute(name, prop, clean);
+				}
+			}
+			for (const [prop, value] of Object.entries(preset?.options ?? {})) {
+				this.setOption(name, prop, value);
+			}
+		}
+	}
+	
+	/** Sets a particular option value for a named tool. */
+	setOption(name, prop, value) {
+		const options = this.getOptions(name);
+		options[prop] = value;
+	}
+	
 	/** Sets a particular prop value for a named attribute */
 	setAttribute(name, prop, value) {
 		const attrs = this.getAttributes(name);
@@ -276,6 +1733,9 @@ window.addEventListener("load", function(ev) {
 	const node = document.querySelector("main svg");
 	const app = new Sketch(node);
 	const state = new PathAttributes();
+	const store = new NotebookStore();
+	const file = new NotebookFile();
+	const title = document.title;
 	/*
 	const logObserver = new MutationObserver(([{target}]) => {
 		console.log('viewBox: ', target.viewBox.baseVal);
@@ -309,15 +1769,51 @@ window.addEventListener("load", function(ev) {
 	// EventListener that changes tool being used.
 	const toolFn = e => {
 		let attrName = e.target.dataset.tool;
+		let optionsName = e.target.dataset.options;
 		let fnName = e.target.value;
 		
-		if(!attrName) {
+		if (optionsName) {
+			// Tool without attributes, such as the eraser.
+			app[fnName](state.getOptions(optionsName));
+		} else if(!attrName) {
 			app[fnName]();
 		} else {
-			app[fnName](state.getAttributes(attrName));
+			const attrs = state.getAttributes(attrName);
+			app[fnName](attrs, state.getOptions(attrName));
 		}
 	};
 	
+	// EventListener that toggles a tool option from a checkbox.
+	const optionFn = e => {
+		let attr = e.target.dataset.tool;
+		state.setOption(attr, e.target.name, e.target.checked);
+	};
+	
+	// EventListener that sets a tool option from a select or color.
+	const valueOptionFn = e => {
+		let attr = e.target.dataset.tool;
+		state.setOption(attr, e.target.name, e.target.value);
+	};
+	
+	// EventListener that sets a numeric tool option from a range.
+	const numberOptionFn = e => {
+		let attr = e.target.dataset.tool;
+		let value = Number(e.target.value);
+		state.setOption(attr, e.target.name, value);
+	};
+	
+	// EventListener that turns an app setting on or off.
+	const settingFn = e => {
+		let fnName = e.target.value;
+		app[fnName](e.target.checked);
+	};
+	
+	// EventListener that sets an app setting to the chosen value.
+	const choiceFn = e => {
+		let fnName = e.target.dataset.setting;
+		app[fnName](e.target.value);
+	};
+	
 	// EventListener that changes tool width.
 	const widthFn = e => {
 		let attr = e.target.dataset.tool;
@@ -325,8 +1821,564 @@ window.addEventListener("load", function(ev) {
 		state.setSize(attr, value);
 	};
 	
+	// EventListener that restyles the selected shapes.
+	const styleFn = e => {
+		let value = e.target.value;
+		if (e.target.name === "selectionWidth") {
+			app.styleSelection({"stroke-width": state.widths[value]});
+		} else {
+			app.styleSelection({stroke: value});
+		}
+	};
+	
+	// EventListener that rotates the selected shapes by the angle entered.
+	const rotateFn = e => {
+		let value = Number(e.target.value);
+		if (value) {
+			app.rotateSelection(value);
+		}
+		e.target.value = 0; // Ready for the next rotation.
+	};
+	
+	// EventListener that runs an app command from a button.
+	const commandFn = e => {
+		let fnName = e.currentTarget.value;
+		app[fnName]();
+	};
+	
+	// Enables the undo and redo buttons if there's something to do.
+	const historyFn = () => {
+		const undo = document.querySelector("button[value='undo']");
+		const redo = document.querySelector("button[value='redo']");
+		undo.disabled = !app.history.canUndo();
+		redo.disabled = !app.history.canRedo();
+	};
+	
+	// EventListener that draws the page on the chosen paper. Choosing a
+	// template starts with its own spacing.
+	const templateFn = e => {
+		const name = document.querySelector("select[name='template']");
+		const spacing = document.querySelector("input[name='spacing']");
+		const color = document.querySelector("input[name='templateColor']");
+		if (e.target === name) {
+			spacing.value = SVG.Template.TEMPLATES[name.value].spacing;
+		}
+		app.useTemplate(name.value, {
+			color: color.value,
+			spacing: Number(spacing.value)
+		});
+	};
+	
+	// Shows the page number, and enables going to the pages around it.
+	const pageFn = () => {
+		const {index, pages} = app.notebook;
+		document.querySelector("output[name='page']").value =
+			`${index + 1} / ${pages.length}`;
+		document.querySelector("button[value='previousPage']").disabled =
+			index === 0;
+		document.querySelector("button[value='nextPage']").disabled =
+			index === pages.length - 1;
+		document.querySelector("button[name='removePage']").disabled =
+			pages.length === 1;
+	};
+	
+	// EventListener that removes the page, which can't be undone.
+	const removePageFn = () => {
+		if (confirm("Delete this page?")) {
+			app.removePage();
+		}
+	};
+	
+	// EventListener that sets the size of new pages. Sizes are in inches,
+	// which are 96 units of the viewBox.
+	const pageSizeFn = e => {
+		const size = document.querySelector("select[name='pageSize']");
+		const width = document.querySelector("input[name='pageWidth']");
+		const height = document.querySelector("input[name='pageHeight']");
+		const preset = Notebook.SIZES[size.value];
+		if (e.target === size && preset) {
+			width.value = SVG.Stroke.round(preset.width / 96);
+			height.value = SVG.Stroke.round(preset.height / 96);
+		} else if (e.target !== size) {
+			size.value = "custom";
+		}
+		app.setPageSize(Number(width.value) * 96, Number(height.value) * 96);
+	};
+	
+	// Lists the layers, top first, to pick, rename, hide and lock them.
+	const layersFn = () => {
+		const list = document.querySelector(".layers");
+		const active = app.layers.active();
+		const items = app.layers.all().reverse().map(layer => {
+			const pick = document.createElement("input");
+			pick.type = "radio";
+			pick.name = "layer";
+			pick.checked = layer === active;
+			pick.addEventListener("input", () => {
+				app.selectLayer(layer);
+				layersFn();
+			});
+			
+			const name = document.createElement("input");
+			name.type = "text";
+			name.value = layer.dataset.layer;
+			name.addEventListener("change", () => {
+				app.renameLayer(layer, name.value);
+				name.value = layer.dataset.layer; // Blank names are ignored.
+			});
+			
+			const show = document.createElement("input");
+			show.type = "checkbox";
+			show.checked = layer.getAttribute("display") !== "none";
+			show.addEventListener("input", () => {
+				app.hideLayer(layer, !show.checked);
+			});
+			
+			const lock = document.createElement("input");
+			lock.type = "checkbox";
+			lock.checked = layer.hasAttribute("data-locked");
+			lock.addEventListener("input", () => {
+				app.lockLayer(layer, lock.checked);
+			});
+			
+			const item = document.createElement("li");
+			const label = (text, input) => {
+				const el = document.createElement("label");
+				el.append(text, input);
+				return el;
+			};
+			item.append(pick, name, " ", label("Show: ", show), " ",
+				label("Lock: ", lock));
+			return item;
+		});
+		
+		// Say where drawing goes while the picked layer can't be drawn in.
+		const target = app.layers.target();
+		if (active && target !== active) {
+			const note = document.createElement("li");
+			note.textContent = target
+				? `${active.dataset.layer} is hidden or locked, so tools `
+					+ `draw in ${target.dataset.layer}.`
+				: "Every layer is hidden or locked, so tools can't draw.";
+			items.push(note);
+		}
+		list.replaceChildren(...items);
+	};
+	
+	// Shows that the notebooks can't be stored, such as in some private
+	// windows, or that they can again. The app still works, but forgets
+	// them when reloaded.
+	const storedFn = (e = null) => {
+		const output = document.querySelector("output[name='stored']");
+		output.hidden = !e;
+		output.title = e ? `Notebooks aren't saved in this browser. ${e}` : "";
+	};
+	
+	// Shows that a notebook wasn't stored. Returns null as the result.
+	const storeErrorFn = e => {
+		storedFn(e);
+		return null;
+	};
+	
+	// Shows the tools' presets in their inputs.
+	const presetsFn = () => {
+		for (const input of document.querySelectorAll("[data-tool]")) {
+			const attr = input.dataset.tool;
+			const attrs = state.attrsMap.get(attr);
+			const options = state.optionsMap.get(attr) ?? {};
+			if (input.name === "strokeColor" && /^#/.test(attrs?.stroke)) {
+				input.value = attrs.stroke;
+				const icon = document.querySelector(`#${attr} ~ label svg`);
+				icon.setAttribute("color", attrs.stroke);
+			} else if (input.name === "strokeWidth" && attrs) {
+				const width = Number(attrs["stroke-width"]);
+				input.value = Math.max(state.widths.indexOf(width), 0);
+			} else if (input.type === "checkbox" && input.name in options) {
+				input.checked = options[input.name];
+			} else if (input.name in options) {
+				input.value = options[input.name];
+			}
+		}
+	};
+	
+	// Returns the notebook and the tools' presets to save, or null if it
+	// can't be saved yet.
+	const documentFn = () => {
+		const doc = app.save();
+		return doc && {...doc, presets: state.presets()};
+	};
+	
+	// Saves the notebook a moment after it changes.
+	const autosaveFn = () => {
+		store.schedule(documentFn);
+	};
+	
+	// Opens a notebook with its presets, and warns about its broken pages.
+	const openNotebookFn = doc => {
+		const dropped = app.openNotebook(doc);
+		if (dropped) {
+			alert(`${dropped} broken pages of ${doc.name} couldn't be opened.`);
+		}
+		state.usePresets(doc.presets);
+		presetsFn();
+	};
+	
+	// Shows whether there are changes that weren't saved to a file.
+	const dirtyFn = () => {
+		document.querySelector("output[name='dirty']").hidden = !app.isDirty;
+		document.title = app.isDirty ? `• ${title}` : title;
+	};
+	
+	// Lists the stored notebooks by name to pick one.
+	const notebooksFn = async () => {
+		const names = new Set(await store.names().catch(storeErrorFn));
+		const current = app.notebook.name;
+		names.add(current);
+		const options = [...names].sort().map(name =>
+			new Option(name, name, false, name === current));
+		document.querySelector("select[name='notebook']")
+			.replaceChildren(...options);
+	};
+	
+	// Asks for a name that no other notebook has, starting with name or
+	// an untaken one. Returns null if none was given.
+	const nameFn = async (message, name) => {
+		const names = await store.names().catch(() => []);
+		names.push(app.notebook.name);
+		let n = 1;
+		while (names.includes(`${Notebook.NAME} ${n}`)) {
+			n++;
+		}
+		
+		const answer = prompt(message, name ?? `${Notebook.NAME} ${n}`)
+			?.trim();
+		if (!answer || answer === name) {
+			return null;
+		} else if (names.includes(answer)) {
+			alert(`There's already a notebook named ${answer}.`);
+			return null;
+		}
+		return answer;
+	};
+	
+	// EventListener that saves the notebook, then opens the chosen one.
+	const notebookFn = async e => {
+		await store.flush().catch(storeErrorFn);
+		const record = await store.load(e.target.value).catch(storeErrorFn);
+		if (record) {
+			file.close();
+			openNotebookFn(record);
+		} else {
+			alert(`${e.target.value} can't be opened.`);
+		}
+		notebooksFn();
+	};
+	
+	// EventListener that saves the notebook, then starts a new one.
+	const newNotebookFn = async () => {
+		const name = await nameFn("Name of the new notebook:");
+		if (name) {
+			await store.flush().catch(storeErrorFn);
+			file.close();
+			app.newNotebook(name);
+			await store.save(documentFn()).catch(storeErrorFn);
+			notebooksFn();
+		}
+	};
+	
+	// Stores the notebook by its new name, and only then removes it by its
+	// old one, so one of them is always kept. While it can't be saved yet,
+	// such as in the middle of a stroke, it's tried again after a delay,
+	// unless another notebook was opened by then.
+	const renameRecordFn = async (old, name) => {
+		if (app.notebook.name !== name) {
+			return;
+		}
+		
+		const doc = documentFn();
+		if (!doc) {
+			setTimeout(() => renameRecordFn(old, name), NotebookStore.DELAY);
+			return;
+		}
+		
+		try {
+			await store.save(doc);
+			await store.remove(old);
+		} catch (e) {
+			storeErrorFn(e);
+		}
+		notebooksFn();
+	};
+	
+	// EventListener that stores the notebook by a new name.
+	const renameNotebookFn = async () => {
+		const old = app.notebook.name;
+		const name = await nameFn("Rename the notebook:", old);
+		if (name) {
+			store.cancel();
+			app.renameNotebook(name);
+			dirtyFn();
+			await renameRecordFn(old, name);
+		}
+	};
+	
+	// EventListener that deletes the notebook, which can't be undone, and
+	// opens the last saved one or a new one.
+	const removeNotebookFn = async () => {
+		const name = app.notebook.name;
+		if (!confirm(`Delete the notebook ${name}?`)) {
+			return;
+		}
+		store.cancel();
+		file.close();
+		await store.remove(name).catch(storeErrorFn);
+		const record = await store.latest().catch(storeErrorFn);
+		if (record) {
+			openNotebookFn(record);
+		} else {
+			app.newNotebook(`${Notebook.NAME} 1`);
+		}
+		notebooksFn();
+	};
+	
+	// EventListener that opens a notebook file, after saving this one. If
+	// a stored notebook has its name, it's replaced or both are kept.
+	const openFileFn = async () => {
+		const doc = await file.open().catch(e => {
+			alert(`The file can't be opened. ${e.message}`);
+			return null;
+		});
+		if (!doc) {
+			return;
+		}
+		
+		await store.flush().catch(storeErrorFn);
+		const names = await store.names().catch(() => []);
+		let name = doc.name;
+		const isReplaced = !names.includes(name) || confirm(
+			`Replace the saved notebook ${name} with the file? `
+			+ "Cancel keeps both.");
+		for (let n = 2; !isReplaced && names.includes(name); n++) {
+			name = `${doc.name} (${n})`;
+		}
+		
+		openNotebookFn({...doc, name});
+		dirtyFn();
+		await store.save(documentFn()).catch(storeErrorFn);
+		notebooksFn();
+	};
+	
+	// Saves the notebook to its file, or asks where first if saveAs or it
+	// has none.
+	const saveFileFn = async (saveAs) => {
+		const doc = documentFn();
+		if (!doc) {
+			return;
+		}
+		
+		// Changes made while it's saved aren't in the file.
+		app.isDirty = false;
+		const isSaved = await file.save(doc, saveAs).catch(e => {
+			alert(`The notebook wasn't saved. ${e.message}`);
+			return false;
+		});
+		app.isDirty ||= !isSaved;
+		dirtyFn();
+	};
+	
+	// Returns the area and options chosen in the export menu.
+	const exportFn = () => {
+		const area = document.querySelector("select[name='exportArea']");
+		const paper = document.querySelector("input[name='exportTemplate']");
+		const clear = document.querySelector("input[name='exportClear']");
+		const dpi = document.querySelector("input[name='exportDPI']");
+		return [area.value, {
+			template: paper.checked,
+			background: !clear.checked,
+			dpi: Number(dpi.value) || SVG.Export.DPI
+		}];
+	};
+	
+	// EventListener that downloads the chosen area of the page as SVG.
+	const exportSVGFn = () => {
+		const markup = app.exportSVG(...exportFn());
+		if (!markup) {
+			alert("There's nothing to export there.");
+			return;
+		}
+		
+		const blob = new Blob([markup], {type: "image/svg+xml"});
+		NotebookFile.download(blob, `${app.notebook.name}.svg`);
+	};
+	
+	// EventListener that downloads the chosen area of the page as PNG.
+	const exportPNGFn = async () => {
+		const png = app.exportPNG(...exportFn());
+		if (!png) {
+			alert("There's nothing to export there.");
+			return;
+		}
+		
+		const blob = await png.catch(e => {
+			alert(`The image wasn't made. ${e.message}`);
+			return null;
+		});
+		if (blob) {
+			NotebookFile.download(blob, `${app.notebook.name}.png`);
+		}
+	};
+	
+	// EventListener that copies the chosen area of the page as PNG, to
+	// paste in other apps. The Promise is copied, since some browsers only
+	// allow copying right when the button is clicked.
+	const copyPNGFn = async () => {
+		const png = app.exportPNG(...exportFn());
+		if (!png) {
+			alert("There's nothing to copy there.");
+			return;
+		}
+		
+		try {
+			const item = new ClipboardItem({"image/png": png});
+			await navigator.clipboard.write([item]);
+		} catch (e) {
+			alert(`The image wasn't copied. ${e.message}`);
+		}
+	};
+	
+	// EventListener that sets the resolution of PNG images. Scales are of
+	// the screen's 96 dpi.
+	const exportScaleFn = e => {
+		const scale = document.querySelector("select[name='exportScale']");
+		const dpi = document.querySelector("input[name='exportDPI']");
+		if (e.target === scale && scale.value !== "custom") {
+			dpi.value = Number(scale.value) * SVG.Export.DPI;
+		} else if (e.target !== scale) {
+			const value = String(Number(dpi.value) / SVG.Export.DPI);
+			const isScale = [...scale.options].some(o => o.value === value);
+			scale.value = isScale ? value : "custom";
+		}
+	};
+	
+	// Keyboard shortcuts: Ctrl+Z undoes. Ctrl+Shift+Z or Ctrl+Y redoes.
+	// Ctrl+O opens a file, Ctrl+S saves and Ctrl+Shift+S saves as. Delete
+	// or Backspace removes the selected shapes.
+	const keyFn = e => {
+		const isCommand = e.ctrlKey || e.metaKey;
+		const isEditing = e.target.matches?.("input, select, textarea");
+		if (isEditing) {
+			return;
+		}
+		
+		const key = e.key.toLowerCase();
+		if (!isCommand) {
+			if (key === "delete" || key === "backspace") {
+				app.deleteSelection();
+				e.preventDefault();
+			}
+			return;
+		} else if (key === "z" && !e.shiftKey) {
+			app.undo();
+		} else if (key === "y" || (key === "z" && e.shiftKey)) {
+			app.redo();
+		} else if (key === "o") {
+			openFileFn();
+		} else if (key === "s") {
+			saveFileFn(e.shiftKey);
+		} else {
+			return;
+		}
+		e.preventDefault();
+	};
+	
 	// Add EventListeners for toolbar.
 	addListener("input[name='strokeColor']", colorFn, ["click", "input"]);
 	addListener("input[name='tool']", toolFn);
+	addListener("input[name='setting']", settingFn);
+	addListener("select[name='setting']", choiceFn);
 	addListener("input[name='strokeWidth']", widthFn);
+	addListener("input[name='pressure']", optionFn);
+	addListener("input[name='recognize']", optionFn);
+	addListener("input[name='tolerance']", numberOptionFn);
+	addListener("input[name='partial']", optionFn);
+	addListener("input[name='radius']", numberOptionFn);
+	addListener("input[name='sides']", numberOptionFn);
+	addListener("select[name='fontFamily']", valueOptionFn);
+	addListener("input[name='fontSize']", numberOptionFn);
+	addListener("input[name='color']", valueOptionFn);
+	addListener("input[name='lasso']", optionFn);
+	addListener("input[name='selectionColor']", styleFn, ["change"]);
+	addListener("input[name='selectionWidth']", styleFn, ["change"]);
+	addListener("input[name='selectionAngle']", rotateFn, ["change"]);
+	addListener("button[name='command']", commandFn, ["click"]);
+	addListener("select[name='template']", templateFn, ["change"]);
+	addListener("button[name='removePage']", removePageFn, ["click"]);
+	addListener("select[name='pageSize']", pageSizeFn, ["change"]);
+	addListener("input[name='pageWidth']", pageSizeFn, ["change"]);
+	addListener("input[name='pageHeight']", pageSizeFn, ["change"]);
+	addListener("input[name='spacing']", templateFn, ["change"]);
+	addListener("input[name='templateColor']", templateFn, ["change"]);
+	addListener("select[name='notebook']", notebookFn, ["change"]);
+	addListener("button[name='newNotebook']", newNotebookFn, ["click"]);
+	addListener("button[name='renameNotebook']", renameNotebookFn, ["click"]);
+	addListener("button[name='removeNotebook']", removeNotebookFn, ["click"]);
+	addListener("button[name='openFile']", openFileFn, ["click"]);
+	addListener("button[name='exportSVG']", exportSVGFn, ["click"]);
+	addListener("button[name='exportPNG']", exportPNGFn, ["click"]);
+	addListener("button[name='copyPNG']", copyPNGFn, ["click"]);
+	addListener("select[name='exportScale']", exportScaleFn, ["change"]);
+	addListener("input[name='exportDPI']", exportScaleFn, ["change"]);
+	addListener("button[name='saveFile']", () => saveFileFn(false), ["click"]);
+	addListener("button[name='saveFileAs']", () => saveFileFn(true), ["click"]);
+	
+	// The highlighter draws under the ink.
+	state.setOption("highlighter", "highlight", true);
+	
+	// Shape tools draw the shape named by their entry.
+	for (const input of document.querySelectorAll("input[data-shape]")) {
+		state.setOption(input.dataset.tool, "shape", input.dataset.shape);
+	}
+	
+	// Keep the undo and redo buttons, the layers, the page number and the
+	// unsaved mark up to date. Going to a page changes the history too.
+	const changeFn = () => {
+		historyFn();
+		layersFn();
+		pageFn();
+		dirtyFn();
+	};
+	app.history.onchange = changeFn;
+	app.history.onchange();
+	
+	document.addEventListener("keydown", keyFn);
+	
+	// Open the last saved notebook. Only then save changes, so an empty
+	// page doesn't replace it. Save before the page is hidden, since it
+	// may be closed.
+	store.latest().catch(storeErrorFn).then(record => {
+		if (record) {
+			openNotebookFn(record);
+		}
+		app.history.onchange = () => {
+			changeFn();
+			autosaveFn();
+		};
+		node.addEventListener(SVG.Drawing.FINISH, autosaveFn);
+		store.onsave = storedFn;
+		notebooksFn();
+	});
+	document.addEventListener("visibilitychange", () => {
+		if (document.visibilityState === "hidden") {
+			store.flush().catch(storeErrorFn);
+		}
+	});
+	
+	// Show unsaved changes, and warn before leaving with them.
+	node.addEventListener(SVG.Drawing.CHANGE, dirtyFn);
+	window.addEventListener("beforeunload", e => {
+		if (app.isDirty) {
+			e.preventDefault();
+			e.returnValue = "";
+		}
+	});
 });
\ No newline at end of file
@@ -0,0 +1,287 @@
+/*
+ * MIT License
+ */
+
+/**
+ * Notebooks saved in the browser's IndexedDB by name, so they're there
+ * after the page is reloaded. A record is a document of NotebookFormat,
+ * with the time it was saved in saved. Records of older versions are
+ * migrated when they're loaded. IndexedDB is asynchronous, so the methods
+ * return Promises, which reject if it can't be used, such as in some
+ * private windows.
+ */
+class NotebookStore {
+	/** Name of the IndexedDB database. */
+	static DATABASE = "shrimp";
+	
+	/** Name of the object store of notebooks, whose key is their name. */
+	static STORE = "notebooks";
+	
+	/** Version of the database, which is raised when STORE changes. */
+	static VERSION = 1;
+	
+	/** Milliseconds after the last change before it's saved. */
+	static DELAY = 1000;
+	
+	/** @param indexedDB The IDBFactory that opens the database. */
+	constructor(indexedDB = window.indexedDB) {
+		// IDBFactory that opens the database.
+		this.indexedDB = indexedDB;
+		
+		// Promise of the IDBDatabase, once open() is called.
+		this.database = null;
+		
+		// Function that returns the record to save when the timer is up.
+		this.pending = null;
+		
+		// Timer of the next save, or null.
+		this.timer = null;
+		
+		// Function called after each scheduled save with the error if it
+		// failed, or null.
+		this.onsave = null;
+	}
+	
+	/** Forgets the save that's waiting, if any. */
+	cancel() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.pending = null;
+	}
+	
+	/**
+	 * Saves the record that's waiting right away, such as before the page
+	 * is hidden. Resolves once it's saved.
+	 */
+	flush() {
+		const fn = this.pending;
+		this.cancel();
+		const record = fn?.();
+		if (record === null) {
+			// Not ready to save. Try again later.
+			this.schedule(fn);
+		}
+		return record ? this.save(record) : Promise.resolve();
+	}
+	
+	/**
+	 * Resolves to the valid notebook saved last, or null if there's none.
+	 * Corrupt records are skipped.
+	 */
+	async latest() {
+		const records = await this.request("readonly",
+			(store) => store.getAll());
+		const saved = (record) => Number(record.saved) || 0;
+		return records.map(record => NotebookFormat.migrate(record))
+			.filter(Boolean)
+			.reduce((a, b) => !a || saved(b) > saved(a) ? b : a, null);
+	}
+	
+	/** Resolves to the notebook named name, or null if it isn't valid. */
+	async load(name) {
+		const record = await this.request("readonly",
+			(store) => store.get(name));
+		return NotebookFormat.migrate(record);
+	}
+	
+	/** Resolves to the names of the saved notebooks, in order. */
+	names() {
+		return this.request("readonly", (store) => store.getAllKeys());
+	}
+	
+	/** Resolves to the database, which is made the first time. */
+	open() {
+		if (this.database) {
+			return this.database;
+		}
+		
+		this.database = new Promise((resolve, reject) => {
+			const {DATABASE, STORE, VERSION} = NotebookStore;
+			const request = this.indexedDB.open(DATABASE, VERSION);
+			request.onupgradeneeded = () => {
+				request.result.createObjectStore(STORE, {keyPath: "name"});
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		
+		// Try again next time, in case it was only blocked.
+		this.database.catch(() => {
+			this.database = null;
+		});
+		return this.database;
+	}
+	
+	/** Removes the notebook named name. */
+	remove(name) {
+		return this.request("readwrite", (store) => store.delete(name));
+	}
+	
+	/**
+	 * Resolves to the result of the IDBRequest that fn(store) makes in a
+	 * transaction of mode ("readonly" or "readwrite"), once it's done.
+	 * Rejects if the transaction fails, which undoes all of it.
+	 */
+	async request(mode, fn) {
+		const database = await this.open();
+		return new Promise((resolve, reject) => {
+			const transaction = database.transaction(NotebookStore.STORE,
+				mode);
+			const request = fn(transaction.objectStore(NotebookStore.STORE));
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+	
+	/** Saves a record, in place of the notebook with its name. */
+	save(record) {
+		const saved = {...record, saved: Date.now()};
+		return this.request("readwrite", (store) => store.put(saved));
+	}
+	
+	/**
+	 * Saves the record that fn returns after DELAY, unless it's called
+	 * again before then, so a burst of changes is saved once. If fn
+	 * returns null, it's tried again after DELAY. Calls onsave after.
+	 */
+	schedule(fn) {
+		this.cancel();
+		this.pending = fn;
+		this.timer = setTimeout(() => {
+			this.flush().then(() => this.onsave?.(null),
+				(e) => this.onsave?.(e));
+		}, NotebookStore.DELAY);
+	}
+}
+
+
+/**
+ * A .shrimp file that notebooks are opened from and saved to. Where the
+ * File System Access API is there, the file is picked once and saved to
+ * again. Elsewhere files are picked with a file input and saved as
+ * downloads. The methods return Promises.
+ */
+class NotebookFile {
+	/** Types of files the pickers show. */
+	static TYPES = [{
+		description: "Shrimp notebook",
+		accept: {[NotebookFormat.TYPE]: [NotebookFormat.EXTENSION]}
+	}];
+	
+	/** Saves a Blob as a download named name. */
+	static download(blob, name) {
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download = name;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(url));
+	}
+	
+	/** Whether the File System Access API is there. */
+	static isSupported() {
+		return "showOpenFilePicker" in window
+			&& "showSaveFilePicker" in window;
+	}
+	
+	/** Makes one without a file, so the first save asks where to save. */
+	constructor() {
+		// FileSystemFileHandle of the file, or null if there's none.
+		this.handle = null;
+	}
+	
+	/** Forgets the file, so the next save asks where to save. */
+	close() {
+		this.handle = null;
+	}
+	
+	/**
+	 * Asks for a file and resolves to its document, migrated to the
+	 * current version, or to null if none was picked. Rejects if it isn't
+	 * a notebook. The file is the one saved to after.
+	 */
+	async open() {
+		let handle = null;
+		let file = null;
+		if (NotebookFile.isSupported()) {
+			[handle] = await this.pick(() => window.showOpenFilePicker({
+				types: NotebookFile.TYPES
+			})) ?? [];
+			file = await handle?.getFile();
+		} else {
+			file = await this.upload();
+		}
+		if (!file) {
+			return null;
+		}
+		
+		const doc = NotebookFormat.parse(await file.text());
+		if (!doc) {
+			throw new Error(`${file.name} isn't a notebook this app can read.`);
+		}
+		this.handle = handle;
+		return doc;
+	}
+	
+	/**
+	 * Resolves to what fn's picker resolves to, or to null if it was
+	 * closed without picking.
+	 */
+	async pick(fn) {
+		try {
+			return await fn();
+		} catch (e) {
+			if (e.name === "AbortError") {
+				return null;
+			}
+			throw e;
+		}
+	}
+	
+	/**
+	 * Saves a document to the file. Asks where to save it first if saveAs
+	 * or there's no file yet. Resolves to whether it was saved.
+	 */
+	async save(doc, saveAs = false) {
+		const text = NotebookFormat.stringify(doc);
+		const name = `${doc.name}${NotebookFormat.EXTENSION}`;
+		if (!NotebookFile.isSupported()) {
+			const blob = new Blob([text], {type: NotebookFormat.TYPE});
+			NotebookFile.download(blob, name);
+			return true;
+		}
+		
+		if (!this.handle || saveAs) {
+			const handle = await this.pick(() => window.showSaveFilePicker({
+				suggestedName: name,
+				types: NotebookFile.TYPES
+			}));
+			if (!handle) {
+				return false;
+			}
+			this.handle = handle;
+		}
+		
+		const writable = await this.handle.createWritable();
+		await writable.write(text);
+		await writable.close();
+		return true;
+	}
+	
+	/**
+	 * Resolves to a file picked with a file input, or to null if none was
+	 * picked.
+	 */
+	upload() {
+		return new Promise((resolve) => {
+			const input = document.createElement("input");
+			input.type = "file";
+			input.accept = `${NotebookFormat.EXTENSION},${NotebookFormat.TYPE}`;
+			input.addEventListener("change", () => {
+				resolve(input.files[0] ?? null);
+			});
+			input.addEventListener("cancel", () => resolve(null));
+			input.click();
+		});
+	}
+}
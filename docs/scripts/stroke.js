@@ -0,0 +1,844 @@
+/*
+ * MIT License
+ */
+
+/**
+ * Geometry helpers for freehand strokes. A stroke is an array of points
+ * [x, y, pressure] in the viewBox's coordinates, where pressure is the
+ * PointerEvent.pressure (0 to 1) of the sample.
+ */
+SVG.Stroke = {
+	DECIMALS: 2, // Decimal places kept for coordinates.
+	PRESSURE: 0.5, // Pressure used if a point is missing one.
+	
+	// For recognizing shapes, as fractions of the size of the stroke.
+	CLOSED: 0.2, // Gap between the ends of a closed stroke.
+	CORNER: 0.08, // Distance a corner sticks out from its neighbors.
+	FIT: 0.035, // Average distance of the stroke from the shape.
+	HEAD: 0.4, // Size of an arrow's head, as a fraction of its shaft.
+
+	/**
+	 * Width of a stroke at a point with pressure. A pressure of 0.5 (the
+	 * value browsers use for pressed pointers without pressure support)
+	 * is the width itself.
+	 *
+	 * @param width The stroke-width of the path.
+	 * @param pressure PointerEvent.pressure from 0 to 1.
+	 * @return The width of the stroke at that point.
+	 */
+	width(width, pressure = this.PRESSURE) {
+		return width * (0.25 + 1.5 * pressure);
+	},
+
+	/** Rounds n to DECIMALS decimal places. */
+	round(n) {
+		const factor = 10 ** this.DECIMALS;
+		return Math.round(n * factor) / factor;
+	},
+
+	/**
+	 * Simplifies the points of a stroke with the Ramer–Douglas–Peucker
+	 * algorithm. Points closer than tolerance to the line between the
+	 * points kept are removed.
+	 *
+	 * @param points Array of [x, y, pressure] stroke points.
+	 * @param tolerance Maximum distance of a removed point from the result.
+	 * @param weight Scales differences in pressure into distances, so
+	 *        changes in width are kept too. 0 ignores pressure.
+	 * @return A new array with some of the points.
+	 */
+	simplify(points, tolerance, weight = 0) {
+		if (points.length < 3 || tolerance <= 0) {
+			return points.slice();
+		}
+		
+		const last = points.length - 1;
+		const keep = new Array(points.length).fill(false);
+		keep[0] = keep[last] = true;
+		
+		// Stack of [first, last] index ranges left to check.
+		const stack = [[0, last]];
+		while (stack.length) {
+			const [first, end] = stack.pop();
+			const [x0, y0, p0] = points[first];
+			const [x1, y1, p1] = points[end];
+			const dx = x1 - x0;
+			const dy = y1 - y0;
+			const lengthSq = dx * dx + dy * dy;
+			
+			let max = 0;
+			let index = first;
+			for (let i = first + 1; i < end; i++) {
+				const [x, y, p] = points[i];
+				
+				// Position of the point's projection onto the line.
+				const along = (x - x0) * dx + (y - y0) * dy;
+				let t = lengthSq ? along / lengthSq : 0;
+				t = Math.min(Math.max(t, 0), 1);
+				
+				const distance = Math.hypot(
+					x - (x0 + t * dx),
+					y - (y0 + t * dy),
+					weight * (p - (p0 + t * (p1 - p0)))
+				);
+				if (distance > max) {
+					max = distance;
+					index = i;
+				}
+			}
+			
+			if (max > tolerance) {
+				keep[index] = true;
+				stack.push([first, index], [index, end]);
+			}
+		}
+		
+		return points.filter((p, i) => keep[i]);
+	},
+	
+	/**
+	 * Fits cubic Bézier curves through points with Philip J. Schneider's
+	 * algorithm from "An Algorithm for Automatically Fitting Digitized
+	 * Curves" (Graphics Gems, 1990).
+	 *
+	 * @param points Array of [x, y, ...] points.
+	 * @param tolerance Maximum distance of a point from the curves.
+	 * @return Array of curves [p0, c1, c2, p3] where each is a [x, y]
+	 *         point. Empty if there are less than 2 distinct points.
+	 */
+	fit(points, tolerance) {
+		// Vector helpers. Points are [x, y] arrays.
+		const add = ([x0, y0], [x1, y1]) => [x0 + x1, y0 + y1];
+		const sub = ([x0, y0], [x1, y1]) => [x0 - x1, y0 - y1];
+		const scale = ([x, y], s) => [x * s, y * s];
+		const dot = ([x0, y0], [x1, y1]) => x0 * x1 + y0 * y1;
+		const distance = (p0, p1) => Math.hypot(...sub(p0, p1));
+		const unit = (v) => scale(v, 1 / (Math.hypot(...v) || 1));
+
+		/** Point on cubic Bézier curve bez at parameter t. */
+		const bezierAt = (bez, t) => {
+			const s = 1 - t;
+			return add(
+				add(scale(bez[0], s * s * s), scale(bez[1], 3 * s * s * t)),
+				add(scale(bez[2], 3 * s * t * t), scale(bez[3], t * t * t))
+			);
+		};
+
+		/** Fits a curve to pts[first..last] or splits it if error is big. */
+		const fitCubic = (pts, first, last, tHat1, tHat2, error) => {
+			// Two points make a straight curve.
+			if (last - first === 1) {
+				const dist = distance(pts[first], pts[last]) / 3;
+				return [[
+					pts[first],
+					add(pts[first], scale(tHat1, dist)),
+					add(pts[last], scale(tHat2, dist)),
+					pts[last]
+				]];
+			}
+
+			let u = chordLengthParameterize(pts, first, last);
+			let bez = generateBezier(pts, first, last, u, tHat1, tHat2);
+			let [maxError, split] = maxErrorOf(pts, first, last, bez, u);
+			if (maxError < error) {
+				return [bez];
+			}
+
+			// Close enough to improve the parameters instead of splitting.
+			if (maxError < error * 4) {
+				for (let i = 0; i < 4; i++) {
+					u = reparameterize(pts, first, last, u, bez);
+					bez = generateBezier(pts, first, last, u, tHat1, tHat2);
+					[maxError, split] = maxErrorOf(pts, first, last, bez, u);
+					if (maxError < error) {
+						return [bez];
+					}
+				}
+			}
+
+			// Split at the point of maximum error and fit each side.
+			const tHatCenter = unit(sub(pts[split - 1], pts[split + 1]));
+			return [
+				...fitCubic(pts, first, split, tHat1, tHatCenter, error),
+				...fitCubic(pts, split, last, scale(tHatCenter, -1), tHat2,
+					error)
+			];
+		};
+
+		/** Least-squares control points for a curve with the end tangents. */
+		const generateBezier = (pts, first, last, u, tHat1, tHat2) => {
+			const p0 = pts[first];
+			const p3 = pts[last];
+			const c = [[0, 0], [0, 0]];
+			const x = [0, 0];
+
+			for (let i = 0; i <= last - first; i++) {
+				const t = u[i];
+				const s = 1 - t;
+				const a1 = scale(tHat1, 3 * s * s * t);
+				const a2 = scale(tHat2, 3 * s * t * t);
+				c[0][0] += dot(a1, a1);
+				c[0][1] += dot(a1, a2);
+				c[1][1] += dot(a2, a2);
+
+				const tmp = sub(pts[first + i],
+					bezierAt([p0, p0, p3, p3], t));
+				x[0] += dot(a1, tmp);
+				x[1] += dot(a2, tmp);
+			}
+			c[1][0] = c[0][1];
+
+			const detC0C1 = c[0][0] * c[1][1] - c[1][0] * c[0][1];
+			const detC0X = c[0][0] * x[1] - c[1][0] * x[0];
+			const detXC1 = x[0] * c[1][1] - x[1] * c[0][1];
+			const alpha1 = detC0C1 === 0 ? 0 : detXC1 / detC0C1;
+			const alpha2 = detC0C1 === 0 ? 0 : detC0X / detC0C1;
+
+			// Fall back to a third of the chord if the fit is degenerate.
+			const segLength = distance(p0, p3);
+			const epsilon = 1e-6 * segLength;
+			if (alpha1 < epsilon || alpha2 < epsilon) {
+				const dist = segLength / 3;
+				return [p0, add(p0, scale(tHat1, dist)),
+					add(p3, scale(tHat2, dist)), p3];
+			}
+
+			return [p0, add(p0, scale(tHat1, alpha1)),
+				add(p3, scale(tHat2, alpha2)), p3];
+		};
+
+		/** Newton-Raphson improvement of each point's curve parameter. */
+		const reparameterize = (pts, first, last, u, bez) => {
+			const d1 = [0, 1, 2].map(i => scale(sub(bez[i + 1], bez[i]), 3));
+			const d2 = [0, 1].map(i => scale(sub(d1[i + 1], d1[i]), 2));
+			const quadAt = (q, t) => add(add(scale(q[0], (1 - t) ** 2),
+				scale(q[1], 2 * (1 - t) * t)), scale(q[2], t * t));
+			const lineAt = (l, t) => add(scale(l[0], 1 - t), scale(l[1], t));
+
+			return u.map((t, i) => {
+				const diff = sub(bezierAt(bez, t), pts[first + i]);
+				const q1 = quadAt(d1, t);
+				const q2 = lineAt(d2, t);
+				const denominator = dot(q1, q1) + dot(diff, q2);
+				return denominator === 0 ? t : t - dot(diff, q1) / denominator;
+			});
+		};
+
+		/** Parameters of the points by their relative distance along them. */
+		const chordLengthParameterize = (pts, first, last) => {
+			const u = [0];
+			for (let i = first + 1; i <= last; i++) {
+				u.push(u[u.length - 1] + distance(pts[i], pts[i - 1]));
+			}
+			const total = u[u.length - 1];
+			return u.map(d => d / total);
+		};
+
+		/** Returns [squared distance, index] of the point farthest from bez. */
+		const maxErrorOf = (pts, first, last, bez, u) => {
+			let max = 0;
+			let split = Math.floor((last - first + 1) / 2) + first;
+			for (let i = first + 1; i < last; i++) {
+				const [dx, dy] = sub(bezierAt(bez, u[i - first]), pts[i]);
+				const dist = dx * dx + dy * dy;
+				if (dist >= max) {
+					max = dist;
+					split = i;
+				}
+			}
+			return [max, split];
+		};
+		
+		// Remove repeated points, which have no tangent.
+		const pts = [];
+		for (const [x, y] of points) {
+			const prev = pts[pts.length - 1];
+			if (!prev || prev[0] !== x || prev[1] !== y) {
+				pts.push([x, y]);
+			}
+		}
+		
+		const last = pts.length - 1;
+		if (last < 1) {
+			return [];
+		}
+		
+		const error = Math.max(tolerance, 0.01) ** 2;
+		const tHat1 = unit(sub(pts[1], pts[0]));
+		const tHat2 = unit(sub(pts[last - 1], pts[last]));
+		return fitCubic(pts, 0, last, tHat1, tHat2, error);
+	},
+	
+	/**
+	 * Makes SVG path data of smooth curves through the points.
+	 *
+	 * @param points Array of [x, y, ...] points.
+	 * @param tolerance Maximum distance of a point from the curves.
+	 * @return A path data string.
+	 */
+	curveData(points, tolerance) {
+		const n = (v) => this.round(v);
+		const [x, y] = points[0];
+		const curves = this.fit(points, tolerance);
+		
+		// A dot is a 0 length line.
+		if (!curves.length) {
+			return `M ${n(x)} ${n(y)} l 0 0`;
+		}
+		
+		return `M ${n(x)} ${n(y)} ` + this.curveCommands(curves).join(" ");
+	},
+	
+	/** Makes an array of SVG "C" commands from fitted curves. */
+	curveCommands(curves) {
+		const n = (v) => this.round(v);
+		return curves.map(([p0, c1, c2, p3]) =>
+			`C ${n(c1[0])} ${n(c1[1])} ${n(c2[0])} ${n(c2[1])} ` +
+			`${n(p3[0])} ${n(p3[1])}`
+		);
+	},
+	
+	/**
+	 * Makes a string of stroke points for a data-points attribute. Each
+	 * point is a comma separated triple "x,y,pressure".
+	 */
+	encode(points) {
+		return points
+			.map(p => p.map(n => this.round(n)).join(","))
+			.join(" ");
+	},
+
+	/**
+	 * Splits a stroke where points are inside an area, such as under an
+	 * eraser. The points should be close together (see densify), since
+	 * only they are tested.
+	 *
+	 * @param points Array of [x, y, pressure] stroke points.
+	 * @param inside Function(point) that's true if point is in the area.
+	 * @return Array of the strokes outside the area. Each ends at the
+	 *         edge of the area where it was cut.
+	 */
+	cut(points, inside) {
+		const pieces = [];
+		let piece = null;
+		let wasInside = false;
+		
+		for (let i = 0; i < points.length; i++) {
+			const point = points[i];
+			const isInside = inside(point);
+			
+			// Crossed the edge of the area.
+			if (i > 0 && isInside !== wasInside) {
+				const prev = points[i - 1];
+				const edge = isInside ? this.edge(prev, point, inside)
+					: this.edge(point, prev, inside);
+				
+				if (isInside) {
+					piece.push(edge);
+					pieces.push(piece);
+					piece = null;
+				} else {
+					piece = [edge];
+				}
+			}
+			
+			if (!isInside) {
+				piece ??= [];
+				piece.push(point);
+			}
+			wasInside = isInside;
+		}
+		
+		if (piece) {
+			pieces.push(piece);
+		}
+		return pieces;
+	},
+	
+	/** Shortest distance from point p to the line segment from a to b. */
+	distance(p, a, b) {
+		const dx = b[0] - a[0];
+		const dy = b[1] - a[1];
+		const lengthSq = dx * dx + dy * dy;
+		
+		// Position of the point's projection onto the segment.
+		const along = (p[0] - a[0]) * dx + (p[1] - a[1]) * dy;
+		let t = lengthSq ? along / lengthSq : 0;
+		t = Math.min(Math.max(t, 0), 1);
+		
+		return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+	},
+	
+	/**
+	 * Whether point is inside the polygon, an array of [x, y] points.
+	 * Uses the even-odd rule, so a loop that crosses itself has holes.
+	 */
+	isInside([x, y], polygon) {
+		let inside = false;
+		for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+			const [xi, yi] = polygon[i];
+			const [xj, yj] = polygon[j];
+			
+			// Count edges crossed by a ray going right of the point.
+			if ((yi > y) !== (yj > y)
+				&& x < xi + (y - yi) * (xj - xi) / (yj - yi)) {
+				inside = !inside;
+			}
+		}
+		return inside;
+	},
+	
+	/** Shortest distance between line segments a to b and c to d. */
+	segmentDistance(a, b, c, d) {
+		// Which side of line o to p that q is on.
+		const side = (o, p, q) => Math.sign(
+			(p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]));
+		
+		// Crossing segments have points on both sides of each other.
+		const isCrossing = side(a, b, c) * side(a, b, d) < 0
+			&& side(c, d, a) * side(c, d, b) < 0;
+		if (isCrossing) {
+			return 0;
+		}
+		
+		return Math.min(
+			this.distance(a, c, d),
+			this.distance(b, c, d),
+			this.distance(c, a, b),
+			this.distance(d, a, b)
+		);
+	},
+	
+	/**
+	 * Adds points so no two are farther apart than spacing. Added points
+	 * are on the lines between the points.
+	 */
+	densify(points, spacing) {
+		const result = points.slice(0, 1);
+		
+		for (let i = 1; i < points.length; i++) {
+			const a = points[i - 1];
+			const b = points[i];
+			const steps = Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1])
+				/ spacing);
+			
+			for (let j = 1; j < steps; j++) {
+				result.push(this.lerp(a, b, j / steps));
+			}
+			result.push(b);
+		}
+		return result;
+	},
+	
+	/**
+	 * Finds the point between outside and inside points that's on the
+	 * edge of the area, but just outside it.
+	 */
+	edge(outside, inside, isInside) {
+		let a = outside;
+		let b = inside;
+		
+		// Bisection, since the area can have any shape.
+		for (let i = 0; i < 10; i++) {
+			const middle = this.lerp(a, b, 0.5);
+			if (isInside(middle)) {
+				b = middle;
+			} else {
+				a = middle;
+			}
+		}
+		return a;
+	},
+	
+	/** The point at t (0 to 1) on the line from stroke point a to b. */
+	lerp(a, b, t) {
+		return a.map((n, i) => n + (b[i] - n) * t);
+	},
+	
+	/**
+	 * Plots a finished stroke. The points are simplified and fitted with
+	 * curves, and kept in the data-points attribute. The tolerance is kept
+	 * in data-tolerance, so the stroke is plotted the same way again.
+	 *
+	 * @param el The path element (SVGPathElement). If it has the
+	 *        data-pressure attribute, the path is the stroke's filled
+	 *        variable-width outline.
+	 * @param points Array of [x, y, pressure] stroke points.
+	 * @param tolerance Distance the path may stray from the points. 0
+	 *        keeps every point.
+	 */
+	plot(el, points, tolerance) {
+		const width = Number(el.getAttribute("stroke-width")) || 1;
+		let d;
+		
+		if (el.hasAttribute("data-pressure")) {
+			// Pressure changes count as much as changes in the outline.
+			const weight = this.width(width, 1) / 2;
+			points = this.simplify(points, tolerance, weight);
+			d = this.outlineData(points, width, tolerance);
+		} else if (tolerance > 0) {
+			points = this.simplify(points, tolerance);
+			d = this.curveData(points, tolerance);
+		} else {
+			const [[x, y], ...rest] = points;
+			const lines = rest.map(([x, y]) => `L ${x} ${y}`);
+			d = [`M ${x} ${y} l 0 0`, ...lines].join(" ");
+		}
+		
+		el.setAttribute("d", d);
+		el.setAttribute("data-points", this.encode(points));
+		el.setAttribute("data-tolerance", tolerance);
+	},
+	
+	/**
+	 * Returns the stroke points of a path made by SVG.PathTool from its
+	 * data-points attribute, or null if it has none.
+	 */
+	points(el) {
+		const string = el.getAttribute("data-points");
+		return string ? this.decode(string) : null;
+	},
+	
+	/**
+	 * Returns the tolerance a stroke was plotted with from its
+	 * data-tolerance attribute, or fallback if it has none, such as
+	 * strokes made before it was kept.
+	 */
+	tolerance(el, fallback) {
+		const tolerance = Number(el.getAttribute("data-tolerance") ?? NaN);
+		return tolerance >= 0 ? tolerance : fallback;
+	},
+	
+	/**
+	 * Returns points along the geometry of an element: the stroke points
+	 * of a path made by SVG.PathTool, or else points about spacing apart
+	 * on the outline of a shape (SVGGeometryElement). Returns null for
+	 * other elements, such as text.
+	 */
+	sample(el, spacing) {
+		const points = this.points(el);
+		if (points || !(el instanceof SVGGeometryElement)) {
+			return points;
+		}
+		
+		const length = el.getTotalLength();
+		const count = Math.min(Math.ceil(length / spacing), 500) || 1;
+		const samples = [];
+		for (let i = 0; i <= count; i++) {
+			const {x, y} = el.getPointAtLength(length * i / count);
+			samples.push([x, y, this.PRESSURE]);
+		}
+		return samples;
+	},
+	
+	/**
+	 * Transforms the data-points of a stroke by a matrix, so they match
+	 * the path after it was moved or resized.
+	 *
+	 * @param el The path element (SVGPathElement).
+	 * @param matrix Object with a, b, c, d, e, f (like SVG.Matrix).
+	 */
+	transform(el, {a, b, c, d, e, f}) {
+		const points = this.points(el);
+		if (points) {
+			const moved = points.map(([x, y, p]) =>
+				[a * x + c * y + e, b * x + d * y + f, p]);
+			el.setAttribute("data-points", this.encode(moved));
+		}
+	},
+	
+	/** Parses a string made by encode() back into stroke points. */
+	decode(string = "") {
+		return string.trim().split(/\s+/)
+			.filter(s => s)
+			.map(s => {
+				const [x, y, p = this.PRESSURE] = s.split(",").map(Number);
+				return [x, y, p];
+			});
+	},
+
+	/**
+	 * Makes the outline of a variable-width stroke. Each point is offset
+	 * along the normal of the stroke by half its width.
+	 *
+	 * @param points Array of [x, y, pressure] stroke points.
+	 * @param width The stroke-width of the path.
+	 * @return {left, right, start, end}. left and right are arrays of
+	 *         [x, y] points on either side of the stroke. start and end
+	 *         are the radii of the round caps.
+	 */
+	outline(points, width) {
+		const left = [];
+		const right = [];
+		const last = points.length - 1;
+
+		for (let i = 0; i <= last; i++) {
+			const [x, y, p] = points[i];
+			const r = this.width(width, p) / 2;
+
+			// Direction from the neighboring points.
+			const [x0, y0] = points[Math.max(i - 1, 0)];
+			const [x1, y1] = points[Math.min(i + 1, last)];
+			const dx = x1 - x0;
+			const dy = y1 - y0;
+			const length = Math.hypot(dx, dy) || 1;
+
+			// Normal to the direction.
+			const nx = -dy / length * r;
+			const ny = dx / length * r;
+
+			left.push([x + nx, y + ny]);
+			right.push([x - nx, y - ny]);
+		}
+
+		const start = this.width(width, points[0][2]) / 2;
+		const end = this.width(width, points[last][2]) / 2;
+		return {left, right, start, end};
+	},
+
+	/**
+	 * Makes the SVG path data for the filled outline of a variable-width
+	 * stroke. The ends are capped with arcs.
+	 *
+	 * @param points Array of [x, y, pressure] stroke points.
+	 * @param width The stroke-width of the path.
+	 * @param tolerance If more than 0, the sides are smoothed with curves
+	 *        fitted within this distance.
+	 * @return A path data string.
+	 */
+	outlineData(points, width, tolerance = 0) {
+		const n = (v) => this.round(v);
+
+		// A dot is a circle made of two arcs.
+		if (points.length < 2) {
+			const [x, y, p] = points[0];
+			const r = n(this.width(width, p) / 2);
+			return `M ${n(x - r)} ${n(y)} a ${r} ${r} 0 1 0 ${2 * r} 0 ` +
+				`a ${r} ${r} 0 1 0 ${-2 * r} 0 Z`;
+		}
+
+		const {left, right, start, end} = this.outline(points, width);
+		right.reverse();
+		const [lx, ly] = left[0];
+		const [rx, ry] = right[0];
+		
+		// Either curves or lines along a side, without its first point.
+		const side = (pts) => {
+			const curves = tolerance > 0 ? this.fit(pts, tolerance) : [];
+			if (curves.length) {
+				return this.curveCommands(curves);
+			}
+			return pts.slice(1).map(([x, y]) => `L ${n(x)} ${n(y)}`);
+		};
+
+		return [
+			`M ${n(lx)} ${n(ly)}`,
+			...side(left),
+			`A ${n(end)} ${n(end)} 0 0 0 ${n(rx)} ${n(ry)}`,
+			...side(right),
+			`A ${n(start)} ${n(start)} 0 0 0 ${n(lx)} ${n(ly)}`,
+			"Z"
+		].join(" ");
+	},
+	
+	/**
+	 * Points count points evenly spaced along the stroke, so parts drawn
+	 * slowly don't have more points than parts drawn quickly.
+	 */
+	resample(points, count) {
+		const lengths = [0];
+		for (let i = 1; i < points.length; i++) {
+			const [x0, y0] = points[i - 1];
+			const [x1, y1] = points[i];
+			lengths.push(lengths[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+		}
+		
+		const total = lengths[lengths.length - 1];
+		if (!total) {
+			return points.slice(0, 1);
+		}
+		
+		const result = [];
+		let j = 1;
+		for (let i = 0; i < count; i++) {
+			const at = total * i / (count - 1);
+			while (j < points.length - 1 && lengths[j] < at) {
+				j++;
+			}
+			const span = lengths[j] - lengths[j - 1];
+			const t = span ? (at - lengths[j - 1]) / span : 0;
+			result.push(this.lerp(points[j - 1], points[j], t));
+		}
+		return result;
+	},
+	
+	/**
+	 * Recognizes the shape a freehand stroke was meant to be.
+	 *
+	 * @param points Array of [x, y, pressure] stroke points.
+	 * @return null if the stroke isn't like any shape, or else an object
+	 *         with the shape's name and geometry:
+	 *         * {shape: "line" or "arrow", points: [start, end]}
+	 *         * {shape: "triangle" or "rectangle", points: corners}
+	 *         * {shape: "ellipse", center, radii: [rx, ry], angle}
+	 *         where each point is [x, y] and angle is in degrees.
+	 */
+	recognize(points) {
+		const xs = points.map(([x]) => x);
+		const ys = points.map(([, y]) => y);
+		const size = Math.hypot(Math.max(...xs) - Math.min(...xs),
+			Math.max(...ys) - Math.min(...ys));
+		if (!size) {
+			return null;
+		}
+		
+		// Evenly spaced, so the speed of drawing doesn't matter.
+		const even = this.resample(points.map(([x, y, p = this.PRESSURE]) =>
+			[x, y, p]), 64);
+		const first = even[0];
+		const last = even[even.length - 1];
+		const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+		const isClosed = distance(first, last) < this.CLOSED * size;
+		const corners = this.simplify(even, this.CORNER * size);
+		
+		// Average distance of the stroke from the edges of a polygon.
+		const error = (polygon) => {
+			const edges = polygon.map((a, i) =>
+				[a, polygon[(i + 1) % polygon.length]]);
+			const total = even.reduce((sum, p) => sum + Math.min(
+				...edges.map(([a, b]) => this.distance(p, a, b))), 0);
+			return total / even.length / size;
+		};
+		
+		if (!isClosed) {
+			// A long shaft, then the head drawn around its tip. The head
+			// goes back past the tip, unlike a wobbly line.
+			const [start, tip] = corners;
+			const shaft = distance(start, tip);
+			const head = corners.slice(2);
+			const behind = (p) => ((p[0] - tip[0]) * (tip[0] - start[0])
+				+ (p[1] - tip[1]) * (tip[1] - start[1])) / shaft;
+			const isHead = head.every(p => distance(p, tip) < this.HEAD * shaft)
+				&& head.some(p => behind(p) < -this.CORNER * shaft);
+			if (head.length && isHead) {
+				return {
+					shape: "arrow",
+					points: [[start[0], start[1]], [tip[0], tip[1]]]
+				};
+			}
+			
+			const line = [[first[0], first[1]], [last[0], last[1]]];
+			if (error(line) < this.FIT) {
+				return {shape: "line", points: line};
+			}
+			return null;
+		}
+		
+		const shapes = [this.recognizeEllipse(even, size)];
+		
+		// Corners of the loop, without ones that barely turn.
+		const loop = this.simplify([...even, first], this.CORNER * size)
+			.slice(0, -1).map(([x, y]) => [x, y]);
+		const turn = (a, b, c) => {
+			const angle = Math.atan2(c[1] - b[1], c[0] - b[0])
+				- Math.atan2(b[1] - a[1], b[0] - a[0]);
+			return Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle)));
+		};
+		for (let i = 0; loop.length > 3 && i < loop.length;) {
+			const previous = loop[(i + loop.length - 1) % loop.length];
+			const next = loop[(i + 1) % loop.length];
+			if (turn(previous, loop[i], next) < Math.PI / 6) {
+				loop.splice(i, 1);
+			} else {
+				i++;
+			}
+		}
+		
+		if (loop.length === 3) {
+			shapes.push({shape: "triangle", points: loop, error: error(loop)});
+		} else if (loop.length === 4) {
+			// Square corners, lined up with the longest side.
+			const sides = loop.map((a, i) => [a, loop[(i + 1) % 4]]);
+			const [a, b] = sides.reduce((longest, side) =>
+				distance(...side) > distance(...longest) ? side : longest);
+			const angle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+			const cos = Math.cos(angle);
+			const sin = Math.sin(angle);
+			const us = even.map(([x, y]) => x * cos + y * sin);
+			const vs = even.map(([x, y]) => y * cos - x * sin);
+			const [u0, u1] = [Math.min(...us), Math.max(...us)];
+			const [v0, v1] = [Math.min(...vs), Math.max(...vs)];
+			const rectangle = [[u0, v0], [u1, v0], [u1, v1], [u0, v1]].map(
+				([u, v]) => [u * cos - v * sin, u * sin + v * cos]);
+			shapes.push({
+				shape: "rectangle",
+				points: rectangle,
+				error: error(rectangle)
+			});
+		}
+		
+		// The shape that fits best, if it fits well enough.
+		const best = shapes.reduce((a, b) => b.error < a.error ? b : a);
+		if (best.error >= this.FIT) {
+			return null;
+		}
+		delete best.error;
+		return best;
+	},
+	
+	/**
+	 * Fits an ellipse to evenly spaced points of a closed stroke with its
+	 * principal axes. Returns {shape: "ellipse", center, radii, angle,
+	 * error}, where error is the average distance of the points from the
+	 * ellipse as a fraction of size.
+	 */
+	recognizeEllipse(points, size) {
+		const count = points.length;
+		const cx = points.reduce((sum, [x]) => sum + x, 0) / count;
+		const cy = points.reduce((sum, [, y]) => sum + y, 0) / count;
+		
+		let xx = 0;
+		let yy = 0;
+		let xy = 0;
+		for (const [x, y] of points) {
+			xx += (x - cx) ** 2;
+			yy += (y - cy) ** 2;
+			xy += (x - cx) * (y - cy);
+		}
+		const angle = Math.atan2(2 * xy, xx - yy) / 2;
+		const cos = Math.cos(angle);
+		const sin = Math.sin(angle);
+		
+		// Coordinates along the axes, centered on the middle of the points'
+		// extent along them.
+		let uvs = points.map(([x, y]) => [
+			(x - cx) * cos + (y - cy) * sin,
+			(y - cy) * cos - (x - cx) * sin
+		]);
+		const us = uvs.map(([u]) => u);
+		const vs = uvs.map(([, v]) => v);
+		const rx = (Math.max(...us) - Math.min(...us)) / 2;
+		const ry = (Math.max(...vs) - Math.min(...vs)) / 2;
+		const du = Math.min(...us) + rx;
+		const dv = Math.min(...vs) + ry;
+		if (!rx || !ry) {
+			return {error: Infinity};
+		}
+		uvs = uvs.map(([u, v]) => [u - du, v - dv]);
+		
+		// Distance from the ellipse along the line to its center.
+		const total = uvs.reduce((sum, [u, v]) => {
+			const r = Math.hypot(u / rx, v / ry);
+			const length = Math.hypot(u, v);
+			return sum + (r ? Math.abs(length - length / r) : 0);
+		}, 0);
+		
+		return {
+			shape: "ellipse",
+			center: [cx + du * cos - dv * sin, cy + du * sin + dv * cos],
+			radii: [rx, ry],
+			angle: angle * 180 / Math.PI,
+			error: total / count / size
+		};
+	}
+};
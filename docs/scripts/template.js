@@ -0,0 +1,263 @@
+/*
+ * MIT License
+ */
+
+/**
+ * Paper templates drawn behind a page, such as ruled lines or a grid. A
+ * template is a group with its name, spacing and color in data-template,
+ * data-spacing and data-color, so it can be drawn again. It has
+ * pointer-events="none" and isn't one of the shapes of SVG.Drawing, so
+ * tools can't select or erase it.
+ */
+SVG.Template = {
+	COLOR: "#9bbcdc", // Default color of the lines.
+	MARGIN: "#e8a0a0", // Color of margin lines.
+	PAPER: "white", // Color of the page.
+	MAX_STEPS: 1000, // Most lines across or down an area.
+	
+	/** Size of a page: 8.5" x 11" at 96 dpi. */
+	PAGE: {x: 0, y: 0, width: 816, height: 1056},
+	
+	/**
+	 * Templates by name, with their default spacing (at 96 dpi) and a
+	 * function(page, spacing, area) that returns an array of [attrs, d]
+	 * for the paths that draw them. Lines keep their places on the page
+	 * and repeat across the area. The attrs are added to the default
+	 * stroke.
+	 */
+	TEMPLATES: {
+		blank: {
+			spacing: 0,
+			paths: () => []
+		},
+		college: {
+			spacing: 27, // 9/32"
+			paths: (...args) => SVG.Template.ruled(...args, 120)
+		},
+		narrow: {
+			spacing: 24, // 1/4"
+			paths: (...args) => SVG.Template.ruled(...args, 96)
+		},
+		grid: {
+			spacing: 24, // 1/4"
+			paths: (...args) => [[{}, SVG.Template.grid(...args)]]
+		},
+		engineering: {
+			spacing: 19.2, // 5 squares per inch.
+			paths: (page, spacing, area) => {
+				const grid = (size) => SVG.Template.grid(page, size, area);
+				return [
+					[{"stroke-opacity": 0.5}, grid(spacing)],
+					[{}, grid(spacing * 5)]
+				];
+			}
+		},
+		dots: {
+			spacing: 24, // 1/4"
+			paths: (...args) => SVG.Template.dots(...args)
+		},
+		music: {
+			spacing: 8, // Between the lines of a staff.
+			paths: (...args) => SVG.Template.staves(...args)
+		},
+		cornell: {
+			spacing: 27, // 9/32"
+			paths: (...args) => SVG.Template.cornell(...args)
+		}
+	},
+	
+	/**
+	 * Draws a template as the first child of node, in place of the old
+	 * one. Returns the template element.
+	 *
+	 * @param node The SVG element (SVGSVGElement) of the page.
+	 * @param name Name in TEMPLATES.
+	 * @param options How the template looks:
+	 *     * color: Color of the lines. Default is Template.COLOR.
+	 *     * spacing: Space between lines in the viewBox. Default is the
+	 *       template's spacing.
+	 *     * page: {x, y, width, height} of the page. Default is
+	 *       Template.PAGE.
+	 *     * area: {x, y, width, height} covered by the paper, such as a
+	 *       canvas grown past the page. Default is the page.
+	 */
+	render(node, name, options = {}) {
+		const group = SVG(node).group().attr("pointer-events", "none");
+		this.draw(group.node, name, options);
+		
+		this.find(node)?.remove();
+		node.prepend(group.node);
+		return group.node;
+	},
+	
+	/** Draws the template again over a different area. */
+	resize(el, area) {
+		this.draw(el, el.dataset.template, {...this.options(el), area});
+	},
+	
+	/**
+	 * Draws a template in the group el, in place of what it had. See
+	 * render() for the options.
+	 */
+	draw(el, name, options = {}) {
+		const template = this.TEMPLATES[name] ?? this.TEMPLATES.blank;
+		const color = options.color ?? this.COLOR;
+		const spacing = Number(options.spacing) || template.spacing;
+		const page = options.page ?? this.PAGE;
+		const area = options.area ?? page;
+		
+		const group = SVG(el).clear().attr({
+			"data-color": color,
+			"data-page": [page.x, page.y, page.width, page.height].join(" "),
+			"data-spacing": spacing,
+			"data-template": name in this.TEMPLATES ? name : "blank"
+		});
+		group.rect(area.width, area.height).move(area.x, area.y)
+			.attr("fill", this.PAPER);
+		for (const [attrs, d] of template.paths(page, spacing, area)) {
+			group.path(d).attr({
+				"fill": "none",
+				"stroke": color,
+				"stroke-width": 1,
+				...attrs
+			});
+		}
+	},
+	
+	/** Returns the template of the page node, if it has one. */
+	find(node) {
+		return [...node.children].find(el => el.hasAttribute("data-template"));
+	},
+	
+	/** Returns the options of a template element for render(). */
+	options(el) {
+		const [x, y, width, height] = el.dataset.page.split(" ").map(Number);
+		const paper = el.querySelector("rect");
+		return {
+			color: el.dataset.color,
+			spacing: Number(el.dataset.spacing),
+			page: {x, y, width, height},
+			area: {
+				x: paper.x.baseVal.value,
+				y: paper.y.baseVal.value,
+				width: paper.width.baseVal.value,
+				height: paper.height.baseVal.value
+			}
+		};
+	},
+	
+	// Path data
+	
+	/** Path data of lines across the area at each y. */
+	rows(area, ys) {
+		const n = (v) => SVG.Stroke.round(v);
+		return ys.map(y => `M ${n(area.x)} ${n(y)} h ${n(area.width)}`)
+			.join(" ");
+	},
+	
+	/**
+	 * Array of the values origin + n * spacing, for any whole n, from
+	 * start until before end. Spacing is at least 1, and there are at
+	 * most MAX_STEPS values.
+	 */
+	steps(origin, start, end, spacing) {
+		const values = [];
+		if (!(spacing > 0)) {
+			return values;
+		}
+		
+		spacing = Math.max(spacing, 1);
+		const first = origin + Math.ceil((start - origin) / spacing) * spacing;
+		for (let v = first; v < end && values.length < this.MAX_STEPS;
+			v += spacing) {
+			values.push(v);
+		}
+		return values;
+	},
+	
+	/**
+	 * Paths of ruled paper: lines every spacing, but in the page's 1"
+	 * header, and a margin line margin from the page's left.
+	 */
+	ruled(page, spacing, area, margin) {
+		const n = (v) => SVG.Stroke.round(v);
+		const top = page.y + 96;
+		const lines = this.steps(top, area.y, area.y + area.height, spacing)
+			.filter(y => y >= top || y < page.y);
+		const x = page.x + margin;
+		const line = `M ${n(x)} ${n(area.y)} v ${n(area.height)}`;
+		return [
+			[{}, this.rows(area, lines)],
+			[{stroke: this.MARGIN}, line]
+		];
+	},
+	
+	/** Path data of a square grid every spacing. */
+	grid(page, spacing, area) {
+		const n = (v) => SVG.Stroke.round(v);
+		const {x, y, width, height} = area;
+		const columns = this.steps(page.x, x, x + width, spacing)
+			.map(cx => `M ${n(cx)} ${n(y)} v ${n(height)}`);
+		const rows = this.rows(area,
+			this.steps(page.y, y, y + height, spacing));
+		return `${columns.join(" ")} ${rows}`;
+	},
+	
+	/** Paths of dots every spacing, as round caps of empty lines. */
+	dots(page, spacing, area) {
+		const n = (v) => SVG.Stroke.round(v);
+		const {x, y, width, height} = area;
+		const dots = [];
+		for (const cy of this.steps(page.y, y + 1, y + height, spacing)) {
+			for (const cx of this.steps(page.x, x + 1, x + width, spacing)) {
+				dots.push(`M ${n(cx)} ${n(cy)} h 0`);
+			}
+		}
+		return [[{
+			"stroke-linecap": "round",
+			"stroke-width": 2.5
+		}, dots.join(" ")]];
+	},
+	
+	/**
+	 * Paths of staves of 5 lines, spacing apart, with 1" margins around
+	 * them.
+	 */
+	staves(page, spacing, area) {
+		const margin = 96;
+		const staff = spacing * 4;
+		const period = staff * 3; // A staff and twice its height of space.
+		const end = area.y + area.height - margin - staff;
+		const lines = [];
+		for (const y of this.steps(page.y + margin, area.y, end, period)) {
+			for (let i = 0; i < 5; i++) {
+				lines.push(y + i * spacing);
+			}
+		}
+		
+		const inside = {...area, x: area.x + margin / 2,
+			width: area.width - margin};
+		return [[{}, this.rows(inside, lines)]];
+	},
+	
+	/**
+	 * Paths of Cornell notes on the page: a title area, a cue column on
+	 * the left, notes ruled every spacing on the right and a summary at
+	 * the bottom. The rest of the area is blank.
+	 */
+	cornell(page, spacing) {
+		const n = (v) => SVG.Stroke.round(v);
+		const {x, y, width, height} = page;
+		const title = y + 96; // 1"
+		const summary = y + height - 192; // 2"
+		const cue = x + 240; // 2.5"
+		
+		const notes = {...page, x: cue, width: x + width - cue};
+		const lines = this.steps(title, title + spacing, summary, spacing);
+		return [
+			[{}, this.rows(notes, lines)],
+			[{"stroke-width": 2}, `${this.rows(page, [title, summary])} `
+				+ `M ${n(cue)} ${n(title)} V ${n(summary)}`]
+		];
+	}
+};
@@ -0,0 +1,691 @@
+/*
+ * MIT License
+ */
+
+/**
+ * Typesets a subset of TeX math into SVG elements without any fonts or
+ * libraries besides the browser's own. Supports groups, super/subscripts,
+ * \frac, \sqrt, Greek letters and symbols, big operators such as \sum and
+ * \int, function names, \text, \left and \right, spaces, and matrix,
+ * pmatrix, bmatrix, vmatrix, Bmatrix and cases environments.
+ *
+ * Layout works with boxes. A box is an object with its width w, ascent a
+ * above the baseline and descent d below it, and an array of items drawn
+ * relative to its left end on the baseline (y grows down, like SVG):
+ *     * {type: "text", x, y, text, size, italic, scale}
+ *     * {type: "rule", x, y, w, h}
+ *     * {type: "path", d, width}
+ */
+SVG.TeX = {
+	AXIS: 0.25, // Height of the math axis (fraction bars) in ems.
+	FONT: "serif", // font-family of the math.
+	GAP: 0.15, // Space around fraction bars and in roots in ems.
+	RULE: 0.06, // Thickness of fraction bars and roots in ems.
+	SCRIPT: 0.7, // Size of scripts relative to their base.
+
+	// Ascent and descent of characters in ems.
+	ASCENT: 0.75,
+	DESCENT: 0.22,
+
+	/** Canvas 2D context for measuring text, made when first needed. */
+	context: null,
+
+	/** Characters of commands for Greek letters and symbols. */
+	SYMBOLS: {
+		alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ϵ",
+		varepsilon: "ε", zeta: "ζ", eta: "η", theta: "θ", vartheta: "ϑ",
+		iota: "ι", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν", xi: "ξ",
+		omicron: "ο", pi: "π", varpi: "ϖ", rho: "ρ", sigma: "σ", tau: "τ",
+		upsilon: "υ", phi: "ϕ", varphi: "φ", chi: "χ", psi: "ψ",
+		omega: "ω", Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ",
+		Xi: "Ξ", Pi: "Π", Sigma: "Σ", Upsilon: "Υ", Phi: "Φ", Psi: "Ψ",
+		Omega: "Ω", infty: "∞", partial: "∂", nabla: "∇", forall: "∀",
+		exists: "∃", emptyset: "∅", angle: "∠", degree: "°", prime: "′",
+		ldots: "…", cdots: "⋯", vdots: "⋮", ddots: "⋱", hbar: "ℏ",
+		ell: "ℓ", triangle: "△", neg: "¬", "{": "{", "}": "}",
+		langle: "⟨", rangle: "⟩", lfloor: "⌊", rfloor: "⌋", lceil: "⌈",
+		rceil: "⌉", "|": "‖", "%": "%", "#": "#", "&": "&", "$": "$"
+	},
+
+	/** Characters of commands for binary operators. */
+	BINARY: {
+		pm: "±", mp: "∓", times: "×", div: "÷", cdot: "⋅", ast: "∗",
+		circ: "∘", bullet: "∙", cup: "∪", cap: "∩", setminus: "∖",
+		land: "∧", lor: "∨", oplus: "⊕", otimes: "⊗"
+	},
+
+	/** Characters of commands for relations. */
+	RELATIONS: {
+		le: "≤", leq: "≤", ge: "≥", geq: "≥", ne: "≠", neq: "≠",
+		approx: "≈", equiv: "≡", sim: "∼", simeq: "≃", cong: "≅",
+		propto: "∝", ll: "≪", gg: "≫", in: "∈", notin: "∉", ni: "∋",
+		subset: "⊂", supset: "⊃", subseteq: "⊆", supseteq: "⊇",
+		perp: "⊥", parallel: "∥", mid: "∣", to: "→", rightarrow: "→",
+		leftarrow: "←", gets: "←", leftrightarrow: "↔", Rightarrow: "⇒",
+		Leftarrow: "⇐", Leftrightarrow: "⇔", implies: "⟹", iff: "⟺",
+		mapsto: "↦"
+	},
+
+	/** Characters of big operators, and whether limits go above/below. */
+	OPERATORS: {
+		sum: ["∑", true], prod: ["∏", true], coprod: ["∐", true],
+		bigcup: ["⋃", true], bigcap: ["⋂", true], int: ["∫", false],
+		iint: ["∬", false], iiint: ["∭", false], oint: ["∮", false]
+	},
+
+	/** Function names set upright. Those true have limits below. */
+	FUNCTIONS: {
+		sin: false, cos: false, tan: false, cot: false, sec: false,
+		csc: false, arcsin: false, arccos: false, arctan: false,
+		sinh: false, cosh: false, tanh: false, log: false, ln: false,
+		exp: false, det: true, gcd: true, deg: false, arg: false,
+		dim: false, ker: false, lim: true, max: true, min: true,
+		sup: true, inf: true, Pr: true
+	},
+
+	/** Widths of spacing commands in ems. */
+	SPACES: {",": 0.17, ":": 0.22, ";": 0.28, "!": -0.17, " ": 0.33,
+		quad: 1, qquad: 2},
+
+	/** Delimiters of matrix environments, [left, right]. */
+	MATRICES: {
+		matrix: ["", ""],
+		pmatrix: ["(", ")"],
+		bmatrix: ["[", "]"],
+		vmatrix: ["|", "|"],
+		Bmatrix: ["{", "}"],
+		cases: ["{", ""]
+	},
+
+	/**
+	 * Typesets TeX math into an SVG.js container, with the left end of the
+	 * first line's baseline at 0, 0. Text is filled and lines are stroked
+	 * with the colors the container gives them.
+	 *
+	 * @param parent SVG.js container, such as a group.
+	 * @param source TeX math, without $ signs.
+	 * @param size font-size in the viewBox.
+	 * @return The box of the math.
+	 */
+	render(parent, source, size) {
+		const box = this.layout(this.parse(source), size);
+
+		for (const item of box.items) {
+			if (item.type === "text") {
+				const text = parent.element("text").attr({
+					"font-family": this.FONT,
+					"font-size": this.round(item.size),
+					"font-style": item.italic ? "italic" : null,
+					"stroke": "none"
+				}).words(item.text);
+
+				// Stretched delimiters are scaled around their baseline.
+				if (item.scale && item.scale !== 1) {
+					const x = this.round(item.x);
+					const y = this.round(item.y);
+					const scale = this.round(item.scale);
+					text.attr("transform",
+						`translate(${x} ${y}) scale(1 ${scale})`);
+				} else {
+					text.attr({x: this.round(item.x), y: this.round(item.y)});
+				}
+			} else if (item.type === "rule") {
+				parent.element("rect").attr({
+					x: this.round(item.x),
+					y: this.round(item.y),
+					width: this.round(item.w),
+					height: this.round(item.h),
+					stroke: "none"
+				});
+			} else if (item.type === "path") {
+				parent.element("path").attr({
+					"d": item.d,
+					"fill": "none",
+					"stroke-linejoin": "round",
+					"stroke-width": this.round(item.width)
+				});
+			}
+		}
+		return box;
+	},
+
+	/** Rounds n like SVG.Stroke.round. */
+	round(n) {
+		return SVG.Stroke.round(n);
+	},
+
+	// Parsing
+
+	/**
+	 * Parses TeX math into an array of nodes. Each node is an object with
+	 * its type and contents:
+	 *     * {type: "char", text, kind} where kind is "ord", "bin" or "rel"
+	 *     * {type: "group", body}
+	 *     * {type: "frac", numerator, denominator}
+	 *     * {type: "sqrt", index, body}
+	 *     * {type: "op", text, limits}
+	 *     * {type: "fn", text, limits}
+	 *     * {type: "text", text}
+	 *     * {type: "space", width}
+	 *     * {type: "scripts", base, sup, sub}
+	 *     * {type: "delimited", left, body, right}
+	 *     * {type: "matrix", rows, left, right, align}
+	 * Unknown commands are kept as text, so they show up to be fixed.
+	 */
+	parse(source) {
+		const tokens = source.match(/\\[a-zA-Z]+|\\.|[^\s]|\s+/g) ?? [];
+		let i = 0;
+
+		// Tokens after commands, skipping spaces.
+		const peek = () => {
+			while (/^\s+$/.test(tokens[i] ?? "")) {
+				i++;
+			}
+			return tokens[i];
+		};
+		const next = () => {
+			const token = peek();
+			i++;
+			return token;
+		};
+
+		// A group in braces, or a single token, as an array of nodes.
+		const argument = () => {
+			if (peek() === "{") {
+				next();
+				return list("}");
+			}
+			const node = atom(next());
+			return node ? [node] : [];
+		};
+
+		// Raw text up to the closing brace.
+		const raw = () => {
+			if (peek() !== "{") {
+				return next() ?? "";
+			}
+			next();
+			let text = "";
+			let depth = 1;
+			while (i < tokens.length) {
+				const token = tokens[i++];
+				depth += token === "{" ? 1 : token === "}" ? -1 : 0;
+				if (!depth) {
+					break;
+				}
+				text += token;
+			}
+			return text;
+		};
+
+		// Rows of cells separated by & and \\ up to the \end of an
+		// environment, or else the end of the source. An \end outside an
+		// environment is text, like unknown commands.
+		const table = (isEnvironment = false) => {
+			const rows = [[[]]];
+			while (i < tokens.length) {
+				const token = peek();
+				if (token === undefined) {
+					break;
+				} else if (token === "&") {
+					next();
+					rows[rows.length - 1].push([]);
+				} else if (token === "\\\\") {
+					next();
+					rows.push([[]]);
+				} else if (token === "\\end" && isEnvironment) {
+					next();
+					raw();
+					break;
+				} else {
+					const row = rows[rows.length - 1];
+					row[row.length - 1].push(...item());
+				}
+			}
+
+			// A \\ at the end doesn't start a row.
+			const last = rows[rows.length - 1];
+			if (rows.length > 1 && last.length === 1 && !last[0].length) {
+				rows.pop();
+			}
+			return rows;
+		};
+
+		// Nodes up to end, which is consumed.
+		const list = (end) => {
+			const nodes = [];
+			while (i < tokens.length) {
+				const token = peek();
+				if (token === undefined) {
+					break;
+				} else if (token === end) {
+					next();
+					break;
+				} else if (end === "\\right" && token === "\\right") {
+					break;
+				}
+				nodes.push(...item());
+			}
+			return nodes;
+		};
+
+		// An atom with its scripts.
+		const item = () => {
+			const node = atom(next());
+			if (!node) {
+				return [];
+			}
+
+			let sup = null;
+			let sub = null;
+			while (peek() === "^" || peek() === "_") {
+				if (next() === "^") {
+					sup = argument();
+				} else {
+					sub = argument();
+				}
+			}
+			return sup || sub ? [{type: "scripts", base: node, sup, sub}]
+				: [node];
+		};
+
+		// One node for a token.
+		const atom = (token) => {
+			if (token === undefined || token === "}") {
+				return null;
+			} else if (token === "{") {
+				return {type: "group", body: list("}")};
+			} else if (token === "'") {
+				return {type: "char", text: "′", kind: "ord"};
+			} else if (token === "~") {
+				return {type: "space", width: this.SPACES[" "]};
+			} else if (!token.startsWith("\\")) {
+				const kind = "+-*/".includes(token) && token !== "/" ? "bin"
+					: "=<>:".includes(token) ? "rel"
+					: "ord";
+				const text = token === "-" ? "−" : token === "*" ? "∗"
+					: token;
+				return {type: "char", text, kind};
+			}
+
+			const name = token.slice(1);
+			if (name === "frac" || name === "dfrac" || name === "tfrac") {
+				return {
+					type: "frac",
+					numerator: argument(),
+					denominator: argument()
+				};
+			} else if (name === "sqrt") {
+				let index = null;
+				if (peek() === "[") {
+					next();
+					index = list("]");
+				}
+				return {type: "sqrt", index, body: argument()};
+			} else if (name === "text" || name === "mathrm"
+					|| name === "operatorname") {
+				return {type: "text", text: raw()};
+			} else if (name === "left") {
+				const left = delimiter(next());
+				const body = list("\\right");
+				next(); // \right
+				const right = delimiter(next());
+				return {type: "delimited", left, body, right};
+			} else if (name === "begin") {
+				const environment = raw();
+				const [left, right] = this.MATRICES[environment] ?? ["", ""];
+				return {
+					type: "matrix",
+					rows: table(true),
+					left,
+					right,
+					align: environment === "cases" ? "left" : "center"
+				};
+			} else if (name in this.SPACES || token === "\\ ") {
+				return {type: "space", width: this.SPACES[name]};
+			} else if (name in this.OPERATORS) {
+				const [text, limits] = this.OPERATORS[name];
+				return {type: "op", text, limits};
+			} else if (name in this.FUNCTIONS) {
+				return {type: "fn", text: name, limits: this.FUNCTIONS[name]};
+			} else if (name in this.BINARY) {
+				return {type: "char", text: this.BINARY[name], kind: "bin"};
+			} else if (name in this.RELATIONS) {
+				return {type: "char", text: this.RELATIONS[name], kind: "rel"};
+			} else if (name in this.SYMBOLS) {
+				return {type: "char", text: this.SYMBOLS[name], kind: "ord"};
+			}
+			return {type: "text", text: token};
+		};
+
+		// Character of a delimiter after \left or \right. "." is none.
+		const delimiter = (token = ".") => {
+			if (token === ".") {
+				return "";
+			}
+			const name = token.slice(1);
+			return token.startsWith("\\") ? this.SYMBOLS[name] ?? name
+				: token;
+		};
+
+		// Lines separated by \\ or cells by & are a table.
+		const rows = table();
+		if (rows.length > 1 || rows[0].length > 1) {
+			return [{type: "matrix", rows, left: "", right: "",
+				align: "left"}];
+		}
+		return rows[0][0];
+	},
+
+	// Layout
+
+	/** Returns the box of an array of nodes at size. */
+	layout(nodes, size) {
+		const boxes = [];
+		nodes.forEach((node, i) => {
+			// Operators at the start, or after another, are signs.
+			const previous = nodes[i - 1];
+			const isSign = node.kind === "bin" && (!previous
+				|| previous.kind === "bin" || previous.kind === "rel");
+			boxes.push(this.box(node, size, isSign));
+		});
+		return this.hbox(boxes);
+	},
+
+	/** Returns the box of one node at size. */
+	box(node, size, isSign = false) {
+		switch (node.type) {
+			case "char": {
+				// Letters are italic. Operators have space around them.
+				const italic = /^\p{L}$/u.test(node.text)
+					&& !/^[Α-Ω]$/.test(node.text);
+				const text = this.glyph(node.text, size, italic);
+				const space = isSign ? 0 : node.kind === "bin" ? 0.22
+					: node.kind === "rel" ? 0.28 : 0;
+				return this.hbox([
+					this.space(space * size),
+					text,
+					this.space(space * size)
+				]);
+			}
+			case "group":
+				return this.layout(node.body, size);
+			case "text":
+			case "fn":
+				return this.glyph(node.text, size, false);
+			case "space":
+				return this.space(node.width * size);
+			case "op":
+				return this.operator(node, size);
+			case "frac":
+				return this.fraction(node, size);
+			case "sqrt":
+				return this.root(node, size);
+			case "scripts":
+				return this.scripts(node, size);
+			case "delimited":
+				return this.delimited(node.left,
+					this.layout(node.body, size), node.right, size);
+			case "matrix":
+				return this.matrix(node, size);
+		}
+		return this.space(0);
+	},
+
+	/** Box of text with the ascent and descent of a line. */
+	glyph(text, size, italic = false, scale = 1) {
+		this.context ??= document.createElement("canvas").getContext("2d");
+		this.context.font = `${italic ? "italic " : ""}${size}px ${this.FONT}`;
+		return {
+			w: this.context.measureText(text).width,
+			a: this.ASCENT * size * scale,
+			d: this.DESCENT * size * scale,
+			items: [{type: "text", x: 0, y: 0, text, size, italic, scale}]
+		};
+	},
+
+	/** Box of a horizontal space, which may be negative. */
+	space(w) {
+		return {w, a: 0, d: 0, items: []};
+	},
+
+	/** Box of boxes side by side on the baseline. */
+	hbox(boxes) {
+		const box = {w: 0, a: 0, d: 0, items: []};
+		for (const b of boxes) {
+			box.items.push(...this.shift(b.items, box.w, 0));
+			box.w += b.w;
+			box.a = Math.max(box.a, b.a);
+			box.d = Math.max(box.d, b.d);
+		}
+		return box;
+	},
+
+	/** Items moved by dx, dy. */
+	shift(items, dx, dy) {
+		return items.map(item => {
+			if (item.type === "path") {
+				const n = (v, dv) => this.round(Number(v) + dv);
+				const d = item.d.replace(/(-?[\d.]+) (-?[\d.]+)/g,
+					(m, x, y) => `${n(x, dx)} ${n(y, dy)}`);
+				return {...item, d};
+			}
+			return {...item, x: item.x + dx, y: item.y + dy};
+		});
+	},
+
+	/** Box of a big operator centered on the axis, with its limits. */
+	operator({text, limits}, size, sup = null, sub = null) {
+		const scale = limits ? 1.5 : 1.8;
+		const op = this.glyph(text, size * scale, false);
+
+		// Center on the axis.
+		const dy = (op.a - op.d) / 2 - this.AXIS * size;
+		op.items = this.shift(op.items, 0, dy);
+		op.a -= dy;
+		op.d += dy;
+
+		return this.attach(op, sup, sub, size, limits);
+	},
+
+	/** Box of a fraction with its bar on the axis. */
+	fraction({numerator, denominator}, size) {
+		const num = this.layout(numerator, size);
+		const den = this.layout(denominator, size);
+		const rule = this.RULE * size;
+		const gap = this.GAP * size;
+		const pad = 0.1 * size;
+		const w = Math.max(num.w, den.w) + 2 * pad;
+		const axis = -this.AXIS * size;
+
+		const numY = axis - rule / 2 - gap - num.d;
+		const denY = axis + rule / 2 + gap + den.a;
+		return {
+			w,
+			a: num.a - numY,
+			d: den.d + denY,
+			items: [
+				...this.shift(num.items, (w - num.w) / 2, numY),
+				{type: "rule", x: 0, y: axis - rule / 2, w, h: rule},
+				...this.shift(den.items, (w - den.w) / 2, denY)
+			]
+		};
+	},
+
+	/** Box of a root, with its index over the radical sign's tick. */
+	root({index, body}, size) {
+		const box = this.layout(body, size);
+		const rule = this.RULE * size;
+		const gap = this.GAP * size;
+		const top = -Math.max(box.a, this.ASCENT * size) - gap;
+		const bottom = Math.max(box.d, this.DESCENT * size);
+		const height = bottom - top;
+		const sign = 0.5 * size;
+
+		// Room for the index before the sign.
+		const indexBox = index ? this.layout(index, size * 0.5) : null;
+		const left = indexBox ? Math.max(indexBox.w - 0.25 * sign, 0) : 0;
+
+		const n = (x, y) => `${this.round(x)} ${this.round(y)}`;
+		const d = `M ${n(left, bottom - 0.4 * height)} `
+			+ `L ${n(left + 0.2 * sign, bottom - 0.5 * height)} `
+			+ `L ${n(left + 0.5 * sign, bottom)} `
+			+ `L ${n(left + sign, top)} `
+			+ `L ${n(left + sign + box.w + 0.1 * size, top)}`;
+
+		const items = [
+			{type: "path", d, width: rule},
+			...this.shift(box.items, left + sign, 0)
+		];
+		let a = -top + rule;
+		if (indexBox) {
+			const y = bottom - 0.55 * height - indexBox.d;
+			items.push(...this.shift(indexBox.items, 0, y));
+			a = Math.max(a, indexBox.a - y);
+		}
+		return {w: left + sign + box.w + 0.15 * size, a, d: bottom, items};
+	},
+
+	/** Box of a node with its superscript and subscript. */
+	scripts({base, sup, sub}, size) {
+		if (base?.type === "op" || (base?.type === "fn" && base.limits)) {
+			const box = base.type === "op" ? this.operator(base, size)
+				: this.box(base, size);
+			return this.attach(box, sup, sub, size, base.limits);
+		}
+		const box = base ? this.box(base, size) : this.space(0);
+		return this.attach(box, sup, sub, size, false);
+	},
+
+	/**
+	 * Box of a box with scripts. Limits go above and below it, others go
+	 * after it.
+	 */
+	attach(box, sup, sub, size, limits) {
+		const small = size * this.SCRIPT;
+		const supBox = sup ? this.layout(sup, small) : null;
+		const subBox = sub ? this.layout(sub, small) : null;
+		if (!supBox && !subBox) {
+			return box;
+		}
+
+		const gap = this.GAP * size;
+		if (limits) {
+			const w = Math.max(box.w, supBox?.w ?? 0, subBox?.w ?? 0);
+			const items = this.shift(box.items, (w - box.w) / 2, 0);
+			let a = box.a;
+			let d = box.d;
+			if (supBox) {
+				const y = -box.a - gap - supBox.d;
+				items.push(...this.shift(supBox.items, (w - supBox.w) / 2, y));
+				a = supBox.a - y;
+			}
+			if (subBox) {
+				const y = box.d + gap + subBox.a;
+				items.push(...this.shift(subBox.items, (w - subBox.w) / 2, y));
+				d = subBox.d + y;
+			}
+			return {w, a, d, items};
+		}
+
+		// Raised and lowered after the base, apart from each other.
+		let up = Math.max(box.a - 0.35 * size, 0.4 * size);
+		let down = Math.max(box.d, 0.15 * size);
+		if (supBox && subBox) {
+			const overlap = (supBox.d - up) + (subBox.a - down) + gap;
+			if (overlap > 0) {
+				up += overlap / 2;
+				down += overlap / 2;
+			}
+		}
+
+		const x = box.w + 0.03 * size;
+		const items = [...box.items];
+		let a = box.a;
+		let d = box.d;
+		if (supBox) {
+			items.push(...this.shift(supBox.items, x, -up));
+			a = Math.max(a, supBox.a + up);
+		}
+		if (subBox) {
+			items.push(...this.shift(subBox.items, x, down));
+			d = Math.max(d, subBox.d + down);
+		}
+		const w = x + Math.max(supBox?.w ?? 0, subBox?.w ?? 0);
+		return {w, a, d, items};
+	},
+
+	/** Box of a box between delimiters stretched to its height. */
+	delimited(left, box, right, size) {
+		const height = Math.max(box.a + box.d, size);
+		const axis = this.AXIS * size;
+
+		// Stretched delimiter, centered on the axis.
+		const delimiter = (text) => {
+			if (!text) {
+				return this.space(0);
+			}
+			const normal = (this.ASCENT + this.DESCENT) * size;
+			const scale = Math.max(height / normal, 1);
+			const glyph = this.glyph(text, size, false, scale);
+			const dy = (glyph.a - glyph.d) / 2 - axis;
+			glyph.items = this.shift(glyph.items, 0, dy);
+			glyph.a -= dy;
+			glyph.d += dy;
+			return glyph;
+		};
+
+		return this.hbox([
+			delimiter(left),
+			this.space(0.05 * size),
+			box,
+			this.space(0.05 * size),
+			delimiter(right)
+		]);
+	},
+
+	/** Box of a matrix centered on the axis, with its delimiters. */
+	matrix({rows, left, right, align}, size) {
+		const cells = rows.map(row => row.map(cell => this.layout(cell, size)));
+		const columns = Math.max(...cells.map(row => row.length));
+		const widths = [];
+		for (let c = 0; c < columns; c++) {
+			widths.push(Math.max(...cells.map(row => row[c]?.w ?? 0)));
+		}
+
+		const columnGap = 0.8 * size;
+		const rowGap = 0.3 * size;
+		const items = [];
+		let y = 0;
+		let w = 0;
+		cells.forEach((row, r) => {
+			const a = Math.max(this.ASCENT * size, ...row.map(b => b.a));
+			const d = Math.max(this.DESCENT * size, ...row.map(b => b.d));
+			y += (r ? rowGap : 0) + a;
+
+			let x = 0;
+			row.forEach((cell, c) => {
+				const dx = align === "left" ? 0 : (widths[c] - cell.w) / 2;
+				items.push(...this.shift(cell.items, x + dx, y));
+				x += widths[c] + columnGap;
+			});
+			w = Math.max(w, x - columnGap);
+			y += d;
+		});
+
+		// Centered on the axis. Lines of text, or one row, keep the first
+		// baseline on the baseline.
+		const height = y;
+		const isLines = align === "left" && !left && !right;
+		const top = rows.length > 1 && !isLines
+			? -height / 2 - this.AXIS * size
+			: -Math.max(...cells[0].map(b => b.a), this.ASCENT * size);
+		const box = {
+			w: Math.max(w, 0),
+			a: -top,
+			d: height + top,
+			items: this.shift(items, 0, top)
+		};
+		return left || right ? this.delimited(left, box, right, size) : box;
+	}
+};